@@ -4,10 +4,26 @@
  * Features:
  * - Defines and executes sequences of tasks (functions).
  * - Supports synchronous and asynchronous tasks (using async/await).
- * - Shared context for passing data between tasks.
+ * - Shared context for passing data between tasks, with optional requires/provides contracts and per-task change records.
  * - Configurable, leveled logging (none, error, info, debug) or custom logger.
  * - Layered error handling (task-level and flow-level) with RETRY, SKIP, ABORT actions.
- * - Tasks can send signals (e.g., PAUSE) to the framework.
+ * - Declarative retry policies (fixed, linear, exponential backoff with jitter) and shared circuit breakers.
+ * - Tasks can send signals (e.g., PAUSE, GOTO, COMPLETE, WAIT_FOR) to the framework.
+ * - Conditional branching (`when` predicates) and jumps between tasks (`next` targets).
+ * - Parallel task groups (all, allSettled, race, any) with optional concurrency limits.
+ * - forEach tasks running a task per item of a list, with concurrency, batches, per-item error handling and resumable progress.
+ * - Sub-flows: run another defined flow as a nested task, with pause/abort cascading to it.
+ * - Snapshots of paused flows, restorable after page reloads, with pluggable storage adapters.
+ * - Cancellation of in-flight tasks via AbortSignal, with task and flow timeouts.
+ * - Saga-style compensation: completed tasks are rolled back in reverse order when a flow fails or is aborted.
+ * - Execution tracing of every task attempt, exportable as Chrome Trace Event JSON or OpenTelemetry-style spans.
+ * - Lifecycle events (per instance or global) and middleware wrapping every task invocation.
+ * - Serializable JSON flow definitions referencing registered tasks by name, with strict validation and export.
+ * - Instance registry with history, bulk abort and per-flow concurrency policies (queue, reject, replace, dedupe).
+ * - Step-through debugging with breakpoints, pause on error and context editing.
+ * - Testing utilities: isolated instances on a fake clock, task mocks, run helpers and assertions.
+ * - Independent runners (FlowCraft.create) with their own registry, defaults, plugins and namespace; ES module entry in flowcraft.mjs.
+ * - Triggers starting flows on DOM events, intervals, other flows ending or promises, with debounce/throttle.
  * - Flow controller for external interaction (pause, resume, abort, getState).
  * - Optional yielding between tasks to mitigate main thread blocking for sync sequences.
  */
@@ -24,6 +40,9 @@
         COMPLETED: 'completed',
         ABORTED: 'aborted',
         ERROR: 'error',
+        COMPENSATING: 'compensating', // Failed or aborted, running compensations of completed tasks
+        COMPENSATED: 'compensated', // Failed or aborted, every compensation succeeded
+        COMPENSATION_FAILED: 'compensation_failed', // Failed or aborted, at least one compensation failed
     };
 
     const LOG_LEVEL = {
@@ -35,22 +54,917 @@
 
     const SIGNAL_TYPE = {
         PAUSE: 'FLOWCRAFT_PAUSE',
+        GOTO: 'FLOWCRAFT_GOTO', // Data: id of the task to jump to
+        COMPLETE: 'FLOWCRAFT_COMPLETE', // Finish the flow successfully after the current task
+        WAIT_FOR: 'FLOWCRAFT_WAIT_FOR', // Data: a trigger source; pause until it fires, then resume with its payload
         // Add more signal types here if needed
     };
 
+    const PARALLEL_MODE = {
+        ALL: 'all', // Wait for every branch; fail as soon as one branch fails
+        ALL_SETTLED: 'allSettled', // Wait for every branch; never fail
+        RACE: 'race', // Settle with the first branch that settles
+        ANY: 'any', // Settle with the first branch that succeeds; fail if all fail
+    };
+
+    const EVENT = {
+        FLOW_START: 'flowStart', // { } - the flow started running
+        TASK_START: 'taskStart', // { taskId, taskIndex, taskCount, attempt, groupId?, itemIndex? }
+        TASK_SUCCESS: 'taskSuccess', // { taskId, taskIndex, taskCount, attempt, duration, result, groupId?, itemIndex? }
+        TASK_ERROR: 'taskError', // { taskId, taskIndex, taskCount, attempt, duration, error, groupId?, itemIndex? }
+        RETRY: 'retry', // { taskId, taskIndex, attempt, delay, error, groupId?, itemIndex? }
+        SKIP: 'skip', // { taskId, taskIndex, reason: 'condition' | 'error', error?, groupId?, itemIndex? }
+        PAUSED: 'paused', // { taskIndex, signalData }
+        RESUMED: 'resumed', // { taskIndex, resumeData }
+        ABORTED: 'aborted', // { reason, error }
+        COMPLETED: 'completed', // { context, duration }
+        FAILED: 'failed', // { taskId, error, duration }
+        COMPENSATE: 'compensate', // { taskId, groupId?, status: 'compensated' | 'failed', attempt, error? }
+    };
+
+    const TRACE_OUTCOME = {
+        SUCCESS: 'success', // The attempt returned normally
+        RETRY: 'retry', // The attempt failed and the task was retried
+        SKIP: 'skip', // The task was skipped (reason: 'condition' or 'error')
+        FALLBACK: 'fallback', // The attempt failed and an onError handler supplied a fallback value
+        ERROR: 'error', // The attempt failed and ended the flow (or the branch, inside a parallel group)
+        INTERRUPTED: 'interrupted', // The flow paused inside a parallel group or sub-flow; the task continues on resume
+        ABORTED: 'aborted', // The attempt was cancelled by abort() or by its settled parallel group
+    };
+
+    const TRACE_FORMAT = {
+        CHROME: 'chrome', // Chrome Trace Event JSON, loadable in DevTools Performance and chrome://tracing
+        OTEL: 'otel', // OpenTelemetry-style span tree
+    };
+
+    const DEFAULT_TRACE_LIMIT = 1000; // Attempts kept per execution, oldest dropped first
+    const CONTEXT_CHANGE_LIMIT = 1000; // Context changes kept per execution, whatever the traceLimit
+
+    const BACKOFF = {
+        FIXED: 'fixed', // baseDelay before every retry
+        LINEAR: 'linear', // baseDelay * attempt
+        EXPONENTIAL: 'exponential', // baseDelay * 2^(attempt - 1)
+    };
+
+    const CIRCUIT_STATE = {
+        CLOSED: 'closed', // Calls go through
+        OPEN: 'open', // Calls fail fast with a CircuitOpenError until resetTimeout elapses
+        HALF_OPEN: 'half_open', // One trial call goes through; its outcome closes or re-opens the circuit
+    };
+
+    const CONCURRENCY_STRATEGY = {
+        QUEUE: 'queue', // Start the new run once a running instance finishes
+        REJECT: 'reject', // Throw a ConcurrencyLimitError from run()
+        REPLACE: 'replace', // Abort the oldest running instance(s) and start the new run
+        DEDUPE: 'dedupe', // Return the latest existing instance instead of starting a new run
+    };
+
+    const DEFAULT_HISTORY_LIMIT = 50; // Finished instances kept for getInstances()/getInstance()
+
+    const FAILURE_REASON = {
+        ABORTED: 'aborted', // abort() was called
+        TIMEOUT: 'timeout', // A task or flow timeout elapsed and no handler recovered
+        TASK_ERROR: 'task_error', // A task failed and no handler recovered
+    };
+
+    const SNAPSHOT_FORMAT_VERSION = 1;
+
+    // Internal marker returned by a parallel group that stopped early because of pause() or abort()
+    const INTERRUPTED = Symbol('FlowCraftInterrupted');
+
     const ERROR_ACTION = {
         ABORT: 'FLOWCRAFT_ABORT',
         SKIP: 'FLOWCRAFT_SKIP',
         RETRY: 'FLOWCRAFT_RETRY',
     };
 
+    // Source of time for flows; FlowCraft.testing replaces it with a fake clock
+    const systemClock = {
+        now: () => Date.now(),
+        setTimeout: (callback, ms) => setTimeout(callback, ms),
+        clearTimeout: timer => clearTimeout(timer)
+    };
+
     // --- Helper Functions ---
-    function yieldToMain() {
-        return new Promise(resolve => setTimeout(resolve, 0));
+    function yieldToMain(clock = systemClock) {
+        return new Promise(resolve => clock.setTimeout(resolve, 0));
+    }
+
+    /**
+     * Finds a cycle of tasks that would loop forever without any task deciding otherwise.
+     * Only tasks without a `when` predicate and with a static (string) or implicit `next`
+     * contribute edges, so every task has at most one unconditional successor.
+     * @returns {Array<string>|null} The task ids forming the cycle, or null.
+     */
+    function findUnconditionalCycle(tasks, indexById) {
+        const successors = tasks.map((task, index) => {
+            if (typeof task.when === 'function' || typeof task.next === 'function') return -1;
+            if (typeof task.next === 'string') return indexById[task.next];
+            return index + 1 < tasks.length ? index + 1 : -1;
+        });
+        const state = new Array(tasks.length).fill(0); // 0: unvisited, 1: on current path, 2: done
+
+        for (let start = 0; start < tasks.length; start++) {
+            const path = [];
+            let index = start;
+            while (index !== -1 && state[index] === 0) {
+                state[index] = 1;
+                path.push(index);
+                index = successors[index];
+            }
+            if (index !== -1 && state[index] === 1) {
+                const cycle = path.slice(path.indexOf(index)).map(i => tasks[i].id);
+                return [...cycle, tasks[index].id];
+            }
+            path.forEach(i => { state[i] = 2; });
+        }
+        return null;
+    }
+
+    /**
+     * Minimal AbortSignal for runtimes without AbortController (Node < 15).
+     * Supports what FlowCraft and tasks use: aborted, reason, onabort, throwIfAborted() and abort listeners.
+     */
+    class FallbackAbortSignal {
+        constructor() {
+            this.aborted = false;
+            this.reason = undefined;
+            this.onabort = null;
+            this._listeners = []; // { listener, once }
+        }
+
+        addEventListener(type, listener, options) {
+            if (type !== 'abort' || this._listeners.some(entry => entry.listener === listener)) return;
+            this._listeners.push({ listener, once: Boolean(options && options.once) });
+        }
+
+        removeEventListener(type, listener) {
+            if (type === 'abort') this._listeners = this._listeners.filter(entry => entry.listener !== listener);
+        }
+
+        throwIfAborted() {
+            if (this.aborted) throw this.reason;
+        }
+
+        _abort(reason) {
+            if (this.aborted) return;
+            this.aborted = true;
+            if (reason === undefined) {
+                reason = new Error('This operation was aborted');
+                reason.name = 'AbortError';
+            }
+            this.reason = reason;
+            const event = { type: 'abort', target: this };
+            const listeners = this._listeners;
+            this._listeners = listeners.filter(entry => !entry.once);
+            if (typeof this.onabort === 'function') this.onabort(event);
+            listeners.forEach(entry => entry.listener.call(this, event));
+        }
+    }
+
+    class FallbackAbortController {
+        constructor() {
+            this.signal = new FallbackAbortSignal();
+        }
+
+        abort(reason) {
+            this.signal._abort(reason);
+        }
+    }
+
+    // Whether the global AbortController passes abort reasons on to its signal (not before Node 16.14 and 2022 browsers)
+    const nativeAbortReasons = (() => {
+        if (typeof AbortController !== 'function') return false;
+        const controller = new AbortController();
+        const reason = new Error('probe');
+        controller.abort(reason);
+        return controller.signal.reason === reason;
+    })();
+
+    /** A native AbortController where there is one, so tasks can pass its signal to fetch(); else the fallback. */
+    function createAbortController() {
+        return typeof AbortController === 'function' ? new AbortController() : new FallbackAbortController();
+    }
+
+    /** Aborts `controller` with `reason`, setting `signal.reason` itself where the native controller ignores it. */
+    function abortWithReason(controller, reason) {
+        if (controller.signal.aborted) return;
+        if (!nativeAbortReasons && !(controller instanceof FallbackAbortController)) {
+            Object.defineProperty(controller.signal, 'reason', { value: reason, configurable: true });
+        }
+        controller.abort(reason);
+    }
+
+    /** An AggregateError, or an Error with the same `name` and `errors` where the runtime has none (Node.js < 15). */
+    function aggregateError(errors, message) {
+        if (typeof AggregateError === 'function') return new AggregateError(errors, message);
+        const error = new Error(message);
+        error.name = 'AggregateError';
+        error.errors = errors;
+        return error;
+    }
+
+    /** Resolves after `ms` milliseconds, or early when the optional `abortSignal` fires. Never rejects. */
+    function sleep(ms, abortSignal, clock = systemClock) {
+        return new Promise(resolve => {
+            if (abortSignal && abortSignal.aborted) return resolve();
+            const done = () => {
+                clock.clearTimeout(timer);
+                if (abortSignal) abortSignal.removeEventListener('abort', done);
+                resolve();
+            };
+            const timer = clock.setTimeout(done, ms);
+            if (abortSignal) abortSignal.addEventListener('abort', done, { once: true });
+        });
+    }
+
+    /**
+     * Validates a `retry` option and fills in its defaults.
+     * @returns {Object|null} The normalized policy, or null if none was given.
+     */
+    function normalizeRetryPolicy(policy, where) {
+        if (policy === undefined || policy === null) return null;
+        if (typeof policy !== 'object') {
+            throw new Error(`[FlowCraft] Invalid 'retry' option for ${where}. Must be an object.`);
+        }
+        const normalized = {
+            maxRetries: 3,
+            backoff: BACKOFF.EXPONENTIAL,
+            baseDelay: 200,
+            maxDelay: 30000,
+            jitter: 0,
+            retryOn: error => !(error instanceof CircuitOpenError), // Waiting won't help while a circuit is open
+            ...policy
+        };
+        if (normalized.jitter === true) normalized.jitter = 1;
+        if (normalized.jitter === false) normalized.jitter = 0;
+        if (!Object.values(BACKOFF).includes(normalized.backoff)) {
+            throw new Error(`[FlowCraft] Invalid backoff '${normalized.backoff}' in 'retry' option for ${where}. Must be one of: ${Object.values(BACKOFF).join(', ')}.`);
+        }
+        ['maxRetries', 'baseDelay', 'maxDelay'].forEach(key => {
+            if (typeof normalized[key] !== 'number' || !(normalized[key] >= 0)) {
+                throw new Error(`[FlowCraft] Invalid '${key}' in 'retry' option for ${where}. Must be a non-negative number.`);
+            }
+        });
+        if (typeof normalized.jitter !== 'number' || normalized.jitter < 0 || normalized.jitter > 1) {
+            throw new Error(`[FlowCraft] Invalid 'jitter' in 'retry' option for ${where}. Must be a boolean or a number between 0 and 1.`);
+        }
+        if (typeof normalized.retryOn !== 'function') {
+            throw new Error(`[FlowCraft] Invalid 'retryOn' in 'retry' option for ${where}. Must be a function.`);
+        }
+        return normalized;
+    }
+
+    /** Computes the delay before retry number `attempt` (1-based) of a retry policy. */
+    function retryDelay(policy, attempt) {
+        let delay = policy.baseDelay;
+        if (policy.backoff === BACKOFF.LINEAR) delay = policy.baseDelay * attempt;
+        if (policy.backoff === BACKOFF.EXPONENTIAL) delay = policy.baseDelay * Math.pow(2, attempt - 1);
+        delay = Math.min(delay, policy.maxDelay);
+        return Math.round(delay - delay * policy.jitter * Math.random());
+    }
+
+    /** Validates a `circuitBreaker` option: a circuit name or { name, failureThreshold?, resetTimeout? }. */
+    function normalizeCircuitBreaker(config, where) {
+        if (config === undefined || config === null) return null;
+        const normalized = typeof config === 'string' ? { name: config } : config;
+        if (typeof normalized !== 'object' || typeof normalized.name !== 'string' || !normalized.name) {
+            throw new Error(`[FlowCraft] Invalid 'circuitBreaker' option for ${where}. Must be a circuit name or an object with a 'name'.`);
+        }
+        return normalized;
+    }
+
+    function normalizeConcurrency(config, flowName) {
+        if (config === undefined || config === null) return null;
+        if (typeof config !== 'object') {
+            throw new Error(`[FlowCraft] Invalid 'concurrency' option for flow '${flowName}'. Must be an object: { max, strategy, key }.`);
+        }
+        const normalized = { max: 1, strategy: CONCURRENCY_STRATEGY.REJECT, key: null, ...config };
+        if (!(Number.isInteger(normalized.max) && normalized.max > 0)) {
+            throw new Error(`[FlowCraft] Invalid concurrency 'max' for flow '${flowName}'. Must be a positive integer.`);
+        }
+        if (!Object.values(CONCURRENCY_STRATEGY).includes(normalized.strategy)) {
+            throw new Error(`[FlowCraft] Invalid concurrency strategy '${normalized.strategy}' for flow '${flowName}'. Must be one of: ${Object.values(CONCURRENCY_STRATEGY).join(', ')}.`);
+        }
+        if (normalized.key !== null && typeof normalized.key !== 'function') {
+            throw new Error(`[FlowCraft] Invalid concurrency 'key' for flow '${flowName}'. Must be a function.`);
+        }
+        return normalized;
+    }
+
+    /** Turns the `debug` option of run()/instance.debug() into the debugger state, or null to disable it. */
+    function normalizeDebug(config, flowName) {
+        if (config === undefined || config === null || config === false) return null;
+        if (config === true) config = { step: true };
+        if (typeof config !== 'object') {
+            throw new Error(`[FlowCraft] Invalid debug option for flow '${flowName}'. Must be a boolean or an object: { step, breakpoints, pauseOnError }.`);
+        }
+        const breakpoints = config.breakpoints || [];
+        if (!Array.isArray(breakpoints) || breakpoints.some(breakpoint => typeof breakpoint !== 'string' && typeof breakpoint !== 'function')) {
+            throw new Error(`[FlowCraft] Invalid debug breakpoints for flow '${flowName}'. Must be an array of task ids or (context, taskInfo) => boolean predicates.`);
+        }
+        return {
+            stepping: config.step === true, // Pause before every task
+            breakpoints: [...breakpoints], // Pause before tasks with these ids or matching these predicates
+            pauseOnError: config.pauseOnError !== false, // Pause at a failing task instead of ending the flow with ERROR
+            passIndex: null // Task the flow is paused before; resuming runs it without breaking again
+        };
+    }
+
+    /** Progress of a forEach task in flight: index of the next unprocessed item, item count, items processed and skipped. */
+    function iterationProgress(state) {
+        const total = state.items.length;
+        let index = 0;
+        while (index < total && state.outcomes[index]) index++;
+        const outcomes = Object.values(state.outcomes);
+        return { index, total, processed: outcomes.length, skipped: outcomes.filter(outcome => outcome.status === 'skipped').length };
+    }
+
+    // --- JSON Definitions ---
+
+    const DEFINITION_KEYS = ['name', 'version', 'description', 'tasks', 'options'];
+    const STEP_KEYS = ['id', 'description', 'task', 'params', 'when', 'next', 'compensate', 'onError', 'options', 'parallel', 'mode', 'concurrency', 'collectInto', 'items', 'batchSize', 'flow', 'requires', 'provides'];
+    const STEP_OPTION_KEYS = ['maxRetries', 'retry', 'timeout', 'circuitBreaker', 'yieldBefore', 'yieldAfter'];
+    const FLOW_OPTION_KEYS = ['logLevel', 'yieldBeforeTask', 'yieldAfterTask', 'defaultMaxRetries', 'retry', 'circuitBreaker', 'flowTimeout', 'autoPersist', 'compensationRetry', 'concurrency', 'traceLimit', 'requires'];
+    const RETRY_KEYS = ['maxRetries', 'backoff', 'baseDelay', 'maxDelay', 'jitter'];
+    const STATIC_ERROR_ACTIONS = { retry: ERROR_ACTION.RETRY, skip: ERROR_ACTION.SKIP, abort: ERROR_ACTION.ABORT }; // 'onError' of JSON steps
+
+    function isPlainObject(value) {
+        if (value === null || typeof value !== 'object') return false;
+        const prototype = Object.getPrototypeOf(value);
+        return prototype === Object.prototype || prototype === null;
+    }
+
+    function isJsonValue(value) {
+        if (value === null || typeof value === 'string' || typeof value === 'boolean') return true;
+        if (typeof value === 'number') return Number.isFinite(value);
+        if (Array.isArray(value)) return value.every(isJsonValue);
+        return isPlainObject(value) && Object.values(value).every(isJsonValue);
+    }
+
+    /**
+     * Checks a JSON flow definition against the task registry and collects every problem instead of stopping at the first.
+     * Each problem is prefixed with its path, e.g. "tasks[2].task: unknown task 'chrage' (registered: reserve, charge)".
+     * @returns {string[]} The problems; empty if the definition is valid.
+     */
+    function validateDefinition(definition, registry) {
+        const problems = [];
+        const report = (path, message) => problems.push(`${path}: ${message}`);
+        const isNonNegative = value => typeof value === 'number' && value >= 0;
+        const isCount = value => Number.isInteger(value) && value >= 0;
+        const checkKeys = (value, allowed, path) => Object.keys(value).forEach(key => {
+            if (!allowed.includes(key)) report(path ? `${path}.${key}` : key, `unknown property (allowed: ${allowed.join(', ')})`);
+        });
+        const checkBoolean = (value, path) => {
+            if (value !== undefined && typeof value !== 'boolean') report(path, 'must be a boolean');
+        };
+        const checkRegistered = (name, path) => {
+            if (typeof name !== 'string') return report(path, 'must be the name of a registered task');
+            if (!registry.has(name)) {
+                report(path, `unknown task '${name}' (${registry.size ? `registered: ${[...registry.keys()].join(', ')}` : 'no tasks registered'})`);
+            }
+        };
+        const checkRetry = (retry, path) => {
+            if (!isPlainObject(retry)) return report(path, 'must be an object');
+            checkKeys(retry, RETRY_KEYS, path);
+            if (retry.backoff !== undefined && !Object.values(BACKOFF).includes(retry.backoff)) {
+                report(`${path}.backoff`, `must be one of: ${Object.values(BACKOFF).join(', ')}`);
+            }
+            ['maxRetries', 'baseDelay', 'maxDelay'].forEach(key => {
+                if (retry[key] !== undefined && !isNonNegative(retry[key])) report(`${path}.${key}`, 'must be a non-negative number');
+            });
+            if (retry.jitter !== undefined && typeof retry.jitter !== 'boolean' && !(typeof retry.jitter === 'number' && retry.jitter >= 0 && retry.jitter <= 1)) {
+                report(`${path}.jitter`, 'must be a boolean or a number between 0 and 1');
+            }
+        };
+        const checkCircuitBreaker = (config, path) => {
+            if (typeof config === 'string' && config) return;
+            if (!isPlainObject(config) || typeof config.name !== 'string' || !config.name) {
+                return report(path, "must be a circuit name or an object with a 'name'");
+            }
+            checkKeys(config, ['name', 'failureThreshold', 'resetTimeout'], path);
+            ['failureThreshold', 'resetTimeout'].forEach(key => {
+                if (config[key] !== undefined && !isNonNegative(config[key])) report(`${path}.${key}`, 'must be a non-negative number');
+            });
+        };
+        const checkParams = (step, path) => {
+            if (step.params === undefined) return;
+            if (!isPlainObject(step.params) || !isJsonValue(step.params)) return report(`${path}.params`, 'must be an object of JSON values');
+            // Registered tasks may describe their params: meta.params = { name: type | { type, required } }
+            const spec = typeof step.task === 'string' && registry.has(step.task) ? registry.get(step.task).meta.params : null;
+            if (!isPlainObject(spec)) return;
+            Object.keys(step.params).forEach(key => {
+                if (!spec[key]) return report(`${path}.params.${key}`, `unknown param of task '${step.task}' (known: ${Object.keys(spec).join(', ')})`);
+                const type = typeof spec[key] === 'string' ? spec[key] : spec[key].type;
+                const actual = Array.isArray(step.params[key]) ? 'array' : step.params[key] === null ? 'null' : typeof step.params[key];
+                if (type && type !== 'any' && type !== actual) report(`${path}.params.${key}`, `must be of type ${type} (got ${actual})`);
+            });
+            Object.keys(spec).forEach(key => {
+                if (spec[key].required && step.params[key] === undefined) report(`${path}.params`, `missing required param '${key}' of task '${step.task}'`);
+            });
+        };
+        const checkStep = (step, path, isBranch) => {
+            if (!isPlainObject(step)) return report(path, 'must be an object');
+            checkKeys(step, STEP_KEYS, path);
+            const kinds = ['task', 'parallel', 'flow'].filter(key => step[key] !== undefined);
+            if (kinds.length !== 1) {
+                report(path, `must have exactly one of 'task', 'parallel' or 'flow'${kinds.length ? ` (found: ${kinds.join(', ')})` : ''}`);
+            }
+            if (step.id !== undefined && (typeof step.id !== 'string' || !step.id)) report(`${path}.id`, 'must be a non-empty string');
+            if (step.description !== undefined && typeof step.description !== 'string') report(`${path}.description`, 'must be a string');
+            if (step.task !== undefined) checkRegistered(step.task, `${path}.task`);
+            ['when', 'compensate'].forEach(key => {
+                if (step[key] !== undefined) checkRegistered(step[key], `${path}.${key}`);
+            });
+            checkParams(step, path);
+            ['requires', 'provides'].forEach(key => {
+                if (step[key] !== undefined) problems.push(...contractProblems(step[key], `${path}.${key}`, true));
+            });
+            if (step.next !== undefined) {
+                if (isBranch) report(`${path}.next`, 'parallel branches cannot route the flow');
+                else if (typeof step.next !== 'string') report(`${path}.next`, 'must be a task id');
+            }
+            if (step.onError !== undefined && !Object.keys(STATIC_ERROR_ACTIONS).includes(step.onError)) {
+                report(`${path}.onError`, `must be one of: ${Object.keys(STATIC_ERROR_ACTIONS).join(', ')}`);
+            }
+            if (step.options !== undefined) {
+                const options = step.options;
+                if (!isPlainObject(options)) {
+                    report(`${path}.options`, 'must be an object');
+                } else {
+                    checkKeys(options, STEP_OPTION_KEYS, `${path}.options`);
+                    if (options.maxRetries !== undefined && !isCount(options.maxRetries)) report(`${path}.options.maxRetries`, 'must be a non-negative integer');
+                    if (options.timeout !== undefined && !(typeof options.timeout === 'number' && options.timeout > 0)) report(`${path}.options.timeout`, 'must be a positive number');
+                    if (options.retry !== undefined) checkRetry(options.retry, `${path}.options.retry`);
+                    if (options.circuitBreaker !== undefined) checkCircuitBreaker(options.circuitBreaker, `${path}.options.circuitBreaker`);
+                    checkBoolean(options.yieldBefore, `${path}.options.yieldBefore`);
+                    checkBoolean(options.yieldAfter, `${path}.options.yieldAfter`);
+                }
+            }
+            if (step.parallel !== undefined) {
+                if (isBranch) {
+                    report(`${path}.parallel`, 'parallel groups cannot be nested');
+                } else if (!Array.isArray(step.parallel) || step.parallel.length === 0) {
+                    report(`${path}.parallel`, 'must be a non-empty array of steps');
+                } else {
+                    const branchIds = new Set();
+                    step.parallel.forEach((branch, index) => {
+                        checkStep(branch, `${path}.parallel[${index}]`, true);
+                        const id = isPlainObject(branch) && typeof branch.id === 'string' ? branch.id : `branch_${index}`;
+                        if (branchIds.has(id)) report(`${path}.parallel[${index}].id`, `duplicate branch id '${id}'`);
+                        branchIds.add(id);
+                    });
+                }
+                if (step.mode !== undefined && !Object.values(PARALLEL_MODE).includes(step.mode)) {
+                    report(`${path}.mode`, `must be one of: ${Object.values(PARALLEL_MODE).join(', ')}`);
+                }
+            } else if (step.mode !== undefined) {
+                report(`${path}.mode`, "only allowed on parallel groups ('parallel')");
+            }
+            if (step.items !== undefined) {
+                if (isBranch) report(`${path}.items`, 'forEach steps cannot be parallel branches');
+                else if (typeof step.items !== 'string' || !step.items) report(`${path}.items`, 'must be the context key holding the items');
+                if (step.task === undefined) report(path, "forEach steps ('items') need a 'task' to run for each item");
+                if (step.batchSize !== undefined && !(Number.isInteger(step.batchSize) && step.batchSize > 0)) report(`${path}.batchSize`, 'must be a positive integer');
+            } else if (step.batchSize !== undefined) {
+                report(`${path}.batchSize`, "only allowed on forEach steps ('items')");
+            }
+            if (step.parallel !== undefined || step.items !== undefined) {
+                if (step.concurrency !== undefined && !(Number.isInteger(step.concurrency) && step.concurrency > 0)) report(`${path}.concurrency`, 'must be a positive integer');
+                if (step.collectInto !== undefined && (typeof step.collectInto !== 'string' || !step.collectInto)) report(`${path}.collectInto`, 'must be a non-empty string');
+            } else {
+                ['concurrency', 'collectInto'].forEach(key => {
+                    if (step[key] !== undefined) report(`${path}.${key}`, "only allowed on parallel groups ('parallel') and forEach steps ('items')");
+                });
+            }
+            if (step.flow !== undefined && (typeof step.flow !== 'string' || !step.flow)) report(`${path}.flow`, 'must be the name of a flow');
+        };
+
+        if (!isPlainObject(definition)) return ['definition: must be an object'];
+        checkKeys(definition, DEFINITION_KEYS, '');
+        if (typeof definition.name !== 'string' || !definition.name) report('name', 'must be a non-empty string');
+        if (definition.version !== undefined && typeof definition.version !== 'string') report('version', 'must be a string');
+        if (definition.description !== undefined && typeof definition.description !== 'string') report('description', 'must be a string');
+
+        if (!Array.isArray(definition.tasks) || definition.tasks.length === 0) {
+            report('tasks', 'must be a non-empty array of steps');
+        } else {
+            const ids = new Set();
+            definition.tasks.forEach((step, index) => {
+                checkStep(step, `tasks[${index}]`, false);
+                const id = isPlainObject(step) && typeof step.id === 'string' ? step.id : `task_${index}`;
+                if (ids.has(id)) report(`tasks[${index}].id`, `duplicate task id '${id}'`);
+                ids.add(id);
+            });
+            definition.tasks.forEach((step, index) => {
+                if (isPlainObject(step) && typeof step.next === 'string' && !ids.has(step.next)) report(`tasks[${index}].next`, `unknown task id '${step.next}'`);
+            });
+        }
+
+        if (definition.options !== undefined) {
+            const options = definition.options;
+            if (!isPlainObject(options)) {
+                report('options', 'must be an object');
+            } else {
+                checkKeys(options, FLOW_OPTION_KEYS, 'options');
+                if (options.logLevel !== undefined && !Object.values(LOG_LEVEL).includes(options.logLevel)) {
+                    report('options.logLevel', `must be one of: ${Object.values(LOG_LEVEL).join(', ')}`);
+                }
+                ['yieldBeforeTask', 'yieldAfterTask', 'autoPersist'].forEach(key => checkBoolean(options[key], `options.${key}`));
+                if (options.defaultMaxRetries !== undefined && !isCount(options.defaultMaxRetries)) report('options.defaultMaxRetries', 'must be a non-negative integer');
+                if (options.flowTimeout !== undefined && !(typeof options.flowTimeout === 'number' && options.flowTimeout > 0)) report('options.flowTimeout', 'must be a positive number');
+                if (options.traceLimit !== undefined && !isCount(options.traceLimit)) report('options.traceLimit', 'must be a non-negative integer');
+                if (options.requires !== undefined) problems.push(...contractProblems(options.requires, 'options.requires', true));
+                ['retry', 'compensationRetry'].forEach(key => {
+                    if (options[key] !== undefined) checkRetry(options[key], `options.${key}`);
+                });
+                if (options.circuitBreaker !== undefined) checkCircuitBreaker(options.circuitBreaker, 'options.circuitBreaker');
+                if (options.concurrency !== undefined) {
+                    if (!isPlainObject(options.concurrency)) {
+                        report('options.concurrency', 'must be an object');
+                    } else {
+                        checkKeys(options.concurrency, ['max', 'strategy'], 'options.concurrency');
+                        if (options.concurrency.max !== undefined && !(Number.isInteger(options.concurrency.max) && options.concurrency.max > 0)) {
+                            report('options.concurrency.max', 'must be a positive integer');
+                        }
+                        if (options.concurrency.strategy !== undefined && !Object.values(CONCURRENCY_STRATEGY).includes(options.concurrency.strategy)) {
+                            report('options.concurrency.strategy', `must be one of: ${Object.values(CONCURRENCY_STRATEGY).join(', ')}`);
+                        }
+                    }
+                }
+            }
+        }
+        return problems;
+    }
+
+    // --- Context Contracts ---
+
+    const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'any'];
+    const SCHEMA_KEYS = ['type', 'enum', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'items', 'properties', 'required'];
+
+    /** Structural equality of JSON-like values. */
+    function deepEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length
+            && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+    }
+
+    /** Type of a value as named in schemas: typeof, plus 'array' and 'null'. */
+    function typeOf(value) {
+        return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+    }
+
+    /**
+     * Checks a schema of the supported JSON-Schema subset: a type name, or an object with
+     * type, enum, minimum, maximum, minLength, maxLength, pattern, items, properties and required.
+     * @returns {string[]} Problems, each prefixed with its path.
+     */
+    function schemaProblems(schema, path) {
+        if (typeof schema === 'string') {
+            return SCHEMA_TYPES.includes(schema) ? [] : [`${path}: unknown type '${schema}' (known: ${SCHEMA_TYPES.join(', ')})`];
+        }
+        if (!isPlainObject(schema)) return [`${path}: must be a type name or a schema object`];
+        const problems = [];
+        Object.keys(schema).forEach(key => {
+            if (!SCHEMA_KEYS.includes(key)) problems.push(`${path}.${key}: unsupported schema keyword (supported: ${SCHEMA_KEYS.join(', ')})`);
+        });
+        if (schema.type !== undefined) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            types.filter(type => !SCHEMA_TYPES.includes(type)).forEach(type => problems.push(`${path}.type: unknown type '${type}' (known: ${SCHEMA_TYPES.join(', ')})`));
+        }
+        if (schema.enum !== undefined && !Array.isArray(schema.enum)) problems.push(`${path}.enum: must be an array`);
+        ['minimum', 'maximum', 'minLength', 'maxLength'].forEach(key => {
+            if (schema[key] !== undefined && typeof schema[key] !== 'number') problems.push(`${path}.${key}: must be a number`);
+        });
+        if (schema.pattern !== undefined) {
+            try {
+                if (typeof schema.pattern !== 'string') throw new TypeError();
+                new RegExp(schema.pattern);
+            } catch (error) {
+                problems.push(`${path}.pattern: must be a regular expression string`);
+            }
+        }
+        if (schema.items !== undefined) problems.push(...schemaProblems(schema.items, `${path}.items`));
+        if (schema.properties !== undefined) {
+            if (!isPlainObject(schema.properties)) problems.push(`${path}.properties: must be an object of schemas`);
+            else Object.keys(schema.properties).forEach(key => problems.push(...schemaProblems(schema.properties[key], `${path}.properties.${key}`)));
+        }
+        if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(key => typeof key !== 'string'))) {
+            problems.push(`${path}.required: must be an array of property names`);
+        }
+        return problems;
+    }
+
+    /**
+     * Checks a value against a schema accepted by schemaProblems().
+     * @returns {string[]} Mismatches, each starting with the path of the offending value.
+     */
+    function schemaMismatches(value, schema, path) {
+        const rules = typeof schema === 'string' ? { type: schema } : schema;
+        const actual = typeOf(value);
+        if (rules.type !== undefined) {
+            const types = Array.isArray(rules.type) ? rules.type : [rules.type];
+            if (!types.some(type => type === 'any' || type === actual || (type === 'integer' && Number.isInteger(value)))) {
+                return [`${path} must be of type ${types.join(' or ')} (got ${actual})`];
+            }
+        }
+        const mismatches = [];
+        if (rules.enum && !rules.enum.some(option => deepEqual(option, value))) {
+            mismatches.push(`${path} must be one of: ${rules.enum.map(option => JSON.stringify(option)).join(', ')}`);
+        }
+        if (actual === 'number') {
+            if (rules.minimum !== undefined && value < rules.minimum) mismatches.push(`${path} must be >= ${rules.minimum}`);
+            if (rules.maximum !== undefined && value > rules.maximum) mismatches.push(`${path} must be <= ${rules.maximum}`);
+        }
+        if (actual === 'string') {
+            if (rules.minLength !== undefined && value.length < rules.minLength) mismatches.push(`${path} must have at least ${rules.minLength} characters`);
+            if (rules.maxLength !== undefined && value.length > rules.maxLength) mismatches.push(`${path} must have at most ${rules.maxLength} characters`);
+            if (rules.pattern !== undefined && !new RegExp(rules.pattern).test(value)) mismatches.push(`${path} must match /${rules.pattern}/`);
+        }
+        if (actual === 'array' && rules.items !== undefined) {
+            value.forEach((item, index) => mismatches.push(...schemaMismatches(item, rules.items, `${path}[${index}]`)));
+        }
+        if (actual === 'object') {
+            (rules.required || []).forEach(key => {
+                if (value[key] === undefined) mismatches.push(`${path}.${key} is missing`);
+            });
+            Object.keys(rules.properties || {}).forEach(key => {
+                if (value[key] !== undefined) mismatches.push(...schemaMismatches(value[key], rules.properties[key], `${path}.${key}`));
+            });
+        }
+        return mismatches;
+    }
+
+    /**
+     * Checks a `requires`/`provides` declaration: an array of context keys, or an object mapping keys to `true`,
+     * a schema (see schemaProblems()) or, unless `json` is set, a validator (value, context) => boolean | string.
+     * @returns {string[]} Problems, each prefixed with its path.
+     */
+    function contractProblems(contract, path, json = false) {
+        if (Array.isArray(contract)) {
+            return contract.some(key => typeof key !== 'string' || !key) ? [`${path}: keys must be non-empty strings`] : [];
+        }
+        if (!isPlainObject(contract)) return [`${path}: must be an array of context keys or an object of rules`];
+        const problems = [];
+        Object.keys(contract).forEach(key => {
+            const rule = contract[key];
+            if (rule === true || (!json && typeof rule === 'function')) return;
+            problems.push(...schemaProblems(rule, `${path}.${key}`));
+        });
+        return problems;
+    }
+
+    /**
+     * Validates a `requires`/`provides` option and turns it into { key: true | schema | validator }.
+     * @returns {Object|null} The normalized contract, or null if none was given.
+     */
+    function normalizeContract(contract, where) {
+        if (contract === undefined || contract === null) return null;
+        const problems = contractProblems(contract, where);
+        if (problems.length > 0) {
+            throw new Error(`[FlowCraft] Invalid ${problems.join('; ')}.`);
+        }
+        if (Array.isArray(contract)) return contract.reduce((rules, key) => ({ ...rules, [key]: true }), {});
+        return { ...contract };
+    }
+
+    /**
+     * Checks the context against a normalized contract: every key must be set (not undefined) and pass its rule.
+     * @returns {string[]} The violations; empty if the context satisfies the contract.
+     */
+    function contractViolations(contract, context) {
+        const violations = [];
+        Object.keys(contract).forEach(key => {
+            const rule = contract[key];
+            const value = context[key];
+            if (value === undefined) {
+                violations.push(`'${key}' is missing`);
+            } else if (typeof rule === 'function') {
+                let verdict;
+                try {
+                    verdict = rule(value, context);
+                } catch (error) {
+                    verdict = error && error.message ? error.message : String(error);
+                }
+                if (typeof verdict === 'string') violations.push(`'${key}' ${verdict}`);
+                else if (!verdict) violations.push(`'${key}' is invalid`);
+            } else if (rule !== true) {
+                violations.push(...schemaMismatches(value, rule, `'${key}'`));
+            }
+        });
+        return violations;
+    }
+
+    /**
+     * Finds ordering problems between the `requires` and `provides` of a flow's tasks, in declaration order
+     * (routing is not followed). A required key must be listed in the flow's `requires` option or provided by an
+     * earlier task; parallel branches cannot rely on their siblings. Keys nobody provides are assumed to come from
+     * the initial context, unless the flow declares `requires`.
+     * @returns {{problems: string[], warnings: string[]}} Warnings flag keys provided only by conditional tasks.
+     */
+    function contractOrderProblems(tasks, flowRequires) {
+        const problems = [];
+        const warnings = [];
+        const providers = {}; // { key: [{ index, id, conditional }] }
+        const provide = (task, index, conditional) => Object.keys(task.provides || {}).forEach(key => {
+            (providers[key] = providers[key] || []).push({ index, id: task.id, conditional });
+        });
+        tasks.forEach((task, index) => {
+            const conditional = typeof task.when === 'function';
+            provide(task, index, conditional);
+            (task.parallel || []).forEach(branch => provide(branch, index, conditional || typeof branch.when === 'function'));
+        });
+
+        const checkRequires = (task, index, path, siblings) => Object.keys(task.requires || {}).forEach(key => {
+            if (flowRequires && flowRequires[key]) return;
+            const all = providers[key] || [];
+            const earlier = all.filter(provider => provider.index < index);
+            if (earlier.length > 0) {
+                if (earlier.every(provider => provider.conditional)) {
+                    warnings.push(`${path} '${task.id}' requires '${key}', which is only provided by conditional task(s) ${earlier.map(provider => `'${provider.id}'`).join(', ')}.`);
+                }
+                return;
+            }
+            const sibling = siblings.find(branch => branch !== task && branch.provides && branch.provides[key]);
+            const later = all.find(provider => provider.index > index);
+            if (sibling) problems.push(`${path}.requires.${key}: provided by parallel branch '${sibling.id}', which runs concurrently`);
+            else if (later) problems.push(`${path}.requires.${key}: only provided by later task '${later.id}'`);
+            else if (flowRequires) problems.push(`${path}.requires.${key}: not provided by an earlier task nor listed in the flow's 'requires' option`);
+        });
+        tasks.forEach((task, index) => {
+            checkRequires(task, index, `tasks[${index}]`, []);
+            (task.parallel || []).forEach((branch, branchIndex) => checkRequires(branch, index, `tasks[${index}].parallel[${branchIndex}]`, task.parallel));
+        });
+        return { problems, warnings };
+    }
+
+    // --- Trace Exporters ---
+
+    function randomHex(length) {
+        let hex = '';
+        while (hex.length < length) hex += Math.floor(Math.random() * 0x100000000).toString(16).padStart(8, '0');
+        return hex.slice(0, length);
+    }
+
+    function errorDescription(error) {
+        if (!error) return null;
+        return { name: error.name || 'Error', message: error.message !== undefined ? String(error.message) : String(error) };
+    }
+
+    /**
+     * Converts a trace (see FlowInstance.getTrace()) to the Chrome Trace Event format. Every flow and task attempt
+     * becomes a complete ('X') event; parallel branches get their own track so overlapping work stays readable.
+     * @param {number} now - End time of flows that are still active.
+     */
+    function toChromeTrace(trace, now) {
+        const traceEvents = [];
+        const origin = trace.startedAt;
+        const micros = ms => Math.round((ms - origin) * 1000);
+        let lastTrack = 0;
+        const addTrack = name => {
+            lastTrack++;
+            traceEvents.push({ name: 'thread_name', ph: 'M', pid: 1, tid: lastTrack, args: { name } });
+            return lastTrack;
+        };
+        const addFlow = (flowTrace, tid) => {
+            const endedAt = flowTrace.endedAt !== null ? flowTrace.endedAt : now;
+            traceEvents.push({
+                name: flowTrace.flowName, cat: 'flow', ph: 'X', pid: 1, tid,
+                ts: micros(flowTrace.startedAt), dur: micros(endedAt) - micros(flowTrace.startedAt),
+                args: { executionId: flowTrace.executionId, version: flowTrace.version, status: flowTrace.status }
+            });
+            // Complete events may not overlap on a track: each branch gets its own tracks, forEach items share
+            // a pool of their task's, and an entry takes the first of them that is free when it starts
+            const lanes = {}; // { trackKey: [{ tid, freeAt }] }
+            const entryTids = new Map();
+            flowTrace.entries.filter(entry => entry.groupId !== null)
+                .sort((a, b) => a.startedAt - b.startedAt)
+                .forEach(entry => {
+                    const trackKey = entry.itemIndex !== null ? entry.taskId : `${entry.groupId}/${entry.taskId}`;
+                    const pool = lanes[trackKey] || (lanes[trackKey] = []);
+                    let lane = pool.find(candidate => candidate.freeAt <= entry.startedAt);
+                    if (!lane) {
+                        lane = { tid: addTrack(`${flowTrace.flowName} › ${trackKey}${pool.length > 0 ? ` (${pool.length + 1})` : ''}`), freeAt: 0 };
+                        pool.push(lane);
+                    }
+                    lane.freeAt = entry.endedAt;
+                    entryTids.set(entry, lane.tid);
+                });
+            flowTrace.entries.forEach(entry => {
+                const entryTid = entry.groupId !== null ? entryTids.get(entry) : tid;
+                traceEvents.push({
+                    name: entry.itemIndex !== null ? `${entry.taskId}[${entry.itemIndex}]` : entry.groupId !== null ? `${entry.groupId}/${entry.taskId}` : entry.taskId,
+                    cat: entry.itemIndex !== null ? 'item' : entry.groupId !== null ? 'branch' : 'task', ph: 'X', pid: 1, tid: entryTid,
+                    ts: micros(entry.startedAt), dur: micros(entry.endedAt) - micros(entry.startedAt),
+                    args: {
+                        attempt: entry.attempt, outcome: entry.outcome, reason: entry.reason,
+                        error: errorDescription(entry.error), signal: entry.signal && entry.signal.type, changedKeys: entry.changedKeys
+                    }
+                });
+                if (entry.child) addFlow(entry.child, entryTid);
+            });
+        };
+        addFlow(trace, addTrack(trace.flowName));
+        return { traceEvents, displayTimeUnit: 'ms', otherData: { executionId: trace.executionId, flowName: trace.flowName } };
+    }
+
+    /**
+     * Converts a trace (see FlowInstance.getTrace()) to an OpenTelemetry-style span tree: a root span for the flow with
+     * one child span per task attempt. Parallel branches and forEach items nest under their group's span, sub-flows under their task's span.
+     * @param {number} now - End time of flows that are still active.
+     */
+    function toOpenTelemetry(trace, now) {
+        const traceId = randomHex(32);
+        const nanos = ms => `${Math.round(ms)}000000`; // String, as in OTLP JSON, to keep int64 precision
+        const span = (name, startedAt, endedAt, attributes, error) => ({
+            traceId,
+            spanId: randomHex(16),
+            parentSpanId: null, // Set by link() below
+            name,
+            kind: 'INTERNAL',
+            startTimeUnixNano: nanos(startedAt),
+            endTimeUnixNano: nanos(endedAt),
+            attributes,
+            status: error ? { code: 'ERROR', message: errorDescription(error).message } : { code: 'OK' },
+            events: error ? [{
+                name: 'exception',
+                timeUnixNano: nanos(endedAt),
+                attributes: { 'exception.type': errorDescription(error).name, 'exception.message': errorDescription(error).message }
+            }] : [],
+            children: []
+        });
+        const flowSpan = flowTrace => {
+            const root = span(flowTrace.flowName, flowTrace.startedAt, flowTrace.endedAt !== null ? flowTrace.endedAt : now, {
+                'flowcraft.flow.name': flowTrace.flowName,
+                'flowcraft.flow.version': flowTrace.version,
+                'flowcraft.execution.id': flowTrace.executionId,
+                'flowcraft.flow.status': flowTrace.status
+            }, null);
+            const taskSpans = flowTrace.entries.map(entry => {
+                const failed = entry.outcome === TRACE_OUTCOME.ERROR || entry.outcome === TRACE_OUTCOME.RETRY || entry.outcome === TRACE_OUTCOME.FALLBACK ||
+                    (entry.outcome === TRACE_OUTCOME.SKIP && entry.error !== null);
+                return {
+                    entry,
+                    span: span(entry.taskId, entry.startedAt, entry.endedAt, {
+                        'flowcraft.task.id': entry.taskId,
+                        'flowcraft.task.index': entry.index,
+                        'flowcraft.task.attempt': entry.attempt,
+                        'flowcraft.task.outcome': entry.outcome,
+                        'flowcraft.context.changed_keys': entry.changedKeys,
+                        ...(entry.groupId !== null ? { 'flowcraft.task.group_id': entry.groupId } : {}),
+                        ...(entry.itemIndex !== null ? { 'flowcraft.task.item_index': entry.itemIndex } : {}),
+                        ...(entry.reason ? { 'flowcraft.task.skip_reason': entry.reason } : {}),
+                        ...(entry.signal ? { 'flowcraft.task.signal': entry.signal.type } : {})
+                    }, failed ? entry.error : null)
+                };
+            });
+            taskSpans.forEach(({ entry, span: taskSpan }) => {
+                if (entry.child) taskSpan.children.push(flowSpan(entry.child));
+                // Branch attempts belong to the attempt of their group that was running at the time
+                const group = entry.groupId === null ? null : taskSpans.find(candidate => candidate.entry.groupId === null &&
+                    candidate.entry.taskId === entry.groupId && candidate.entry.startedAt <= entry.startedAt && candidate.entry.endedAt >= entry.endedAt);
+                (group ? group.span : root).children.push(taskSpan);
+            });
+            return root;
+        };
+        const link = node => node.children.forEach(child => {
+            child.parentSpanId = node.spanId;
+            link(child);
+        });
+        const root = flowSpan(trace);
+        link(root);
+        return root;
+    }
+
+    /** Adds a callback to a { eventType: [callback] } registry, validating the event type. */
+    function addListener(listeners, event, callback) {
+        if (!Object.values(EVENT).includes(event)) {
+            throw new Error(`[FlowCraft] Unknown event '${event}'. Must be one of: ${Object.values(EVENT).join(', ')}.`);
+        }
+        if (typeof callback !== 'function') {
+            throw new Error(`[FlowCraft] Listener for event '${event}' must be a function.`);
+        }
+        (listeners[event] || (listeners[event] = [])).push(callback);
+    }
+
+    function removeListener(listeners, event, callback) {
+        if (listeners[event]) listeners[event] = listeners[event].filter(listener => listener !== callback);
     }
 
-    function defaultLogger() {
-        const log = (level, ...args) => console[level](...args);
+    /** Deep-copies a value into plain JSON data. Errors become { name, message }; functions are dropped. */
+    function toSerializable(value) {
+        return JSON.parse(JSON.stringify(value, (key, item) => (
+            item instanceof Error ? { name: item.name, message: item.message } : item
+        )));
+    }
+
+    /** Console logger; a runner's namespace prefixes its messages. */
+    function defaultLogger(namespace = null) {
+        const log = namespace
+            ? (level, ...args) => console[level](`[${namespace}]`, ...args)
+            : (level, ...args) => console[level](...args);
         return {
             error: (...args) => log('error', ...args),
             warn: (...args) => log('warn', ...args),
@@ -59,194 +973,2608 @@
         };
     }
 
-    // --- FlowInstance Class (Controller for a running flow) ---
-    class FlowInstance {
-        constructor(flowCraft, flowName, executionContext) {
-            this._flowCraft = flowCraft;
-            this._flowName = flowName;
-            this._executionContext = executionContext; // Reference to the runner's state
-            this._promise = new Promise((resolve, reject) => {
-                this._resolvePromise = resolve;
-                this._rejectPromise = reject;
-            });
+    // --- Error Classes ---
+
+    /** Raised into the onError chain when a task exceeds its `timeout` or the flow exceeds its `flowTimeout`. */
+    class TimeoutError extends Error {
+        constructor(message, { scope, timeout, taskId }) {
+            super(message);
+            this.name = 'TimeoutError';
+            this.scope = scope; // 'task' or 'flow'
+            this.timeout = timeout; // The limit that was exceeded, in milliseconds
+            this.taskId = taskId;
         }
+    }
 
-        /** The promise resolves/rejects when the flow completes, aborts, or errors definitively. */
-        get result() {
-            return this._promise;
+    /** Raised instead of calling a task while the circuit breaker it uses is open. */
+    class CircuitOpenError extends Error {
+        constructor(message, { circuit, retryAt }) {
+            super(message);
+            this.name = 'CircuitOpenError';
+            this.circuit = circuit; // Name of the open circuit
+            this.retryAt = retryAt; // Timestamp after which a trial call is allowed
         }
+    }
 
-        /** Get the current state of the flow instance. */
-        getState() {
-            // Return a copy to prevent external mutation of internal state
-            return {
-                flowName: this._flowName,
-                status: this._executionContext.status,
-                currentTaskIndex: this._executionContext.currentTaskIndex,
-                context: { ...this._executionContext.context }, // Shallow copy
-                lastError: this._executionContext.lastError,
-                signalData: this._executionContext.signalData
-            };
+    /** Thrown by define() and exportDefinition() with every problem found in a JSON flow definition. */
+    class DefinitionError extends Error {
+        constructor(message, { flowName, problems }) {
+            super(`${message} (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+            this.name = 'DefinitionError';
+            this.flowName = flowName;
+            this.problems = problems; // One readable line per problem, prefixed with its path
         }
+    }
 
-        /** Request the flow to pause after the current task (if running). */
-        pause() {
-            if (this._executionContext.status === STATUS.RUNNING) {
-                this._executionContext.pauseRequested = true;
-                 this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.info, `[FlowCraft] Pause requested for flow '${this._flowName}'`);
-            } else {
-                this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Cannot pause flow '${this._flowName}': not running (status: ${this._executionContext.status})`);
+    /** Thrown by run() when a flow with the 'reject' concurrency strategy already runs its maximum of instances. */
+    class ConcurrencyLimitError extends Error {
+        constructor(message, { flowName, key, max }) {
+            super(message);
+            this.name = 'ConcurrencyLimitError';
+            this.flowName = flowName;
+            this.key = key; // Concurrency key of the rejected run ('' without a key function)
+            this.max = max;
+        }
+    }
+
+    /**
+     * Raised into the onError chain when the context doesn't satisfy a task's `requires` (before it runs) or
+     * `provides` (after it ran). Thrown by run() when the initial context doesn't satisfy the flow's `requires`.
+     */
+    class ContractError extends Error {
+        constructor(message, { flowName, taskId, kind, violations }) {
+            super(`${message}: ${violations.join('; ')}.`);
+            this.name = 'ContractError';
+            this.flowName = flowName;
+            this.taskId = taskId; // null for the flow's own `requires`
+            this.kind = kind; // 'requires' or 'provides'
+            this.violations = violations; // One readable line per offending key
+        }
+    }
+
+    /**
+     * Counts consecutive failures of the tasks sharing a circuit name, across flows and executions.
+     * After `failureThreshold` failures the circuit opens and calls fail fast for `resetTimeout` ms;
+     * then one trial call decides whether it closes again.
+     */
+    class CircuitBreaker {
+        constructor(name, { failureThreshold = 5, resetTimeout = 30000 } = {}, clock = systemClock) {
+            this.name = name;
+            this.failureThreshold = failureThreshold;
+            this.resetTimeout = resetTimeout;
+            this._clock = clock;
+            this.reset();
+        }
+
+        reset() {
+            this.state = CIRCUIT_STATE.CLOSED;
+            this.failures = 0;
+            this.openedAt = null;
+            this._trialInFlight = false;
+        }
+
+        /**
+         * Throws a CircuitOpenError if a call may not go through right now.
+         * @returns {boolean} Whether the call is the trial call of a half-open circuit.
+         */
+        acquire() {
+            if (this.state === CIRCUIT_STATE.OPEN && this._clock.now() - this.openedAt >= this.resetTimeout) {
+                this.state = CIRCUIT_STATE.HALF_OPEN;
+            }
+            if (this.state === CIRCUIT_STATE.OPEN || (this.state === CIRCUIT_STATE.HALF_OPEN && this._trialInFlight)) {
+                const retryAt = this.openedAt + this.resetTimeout;
+                throw new CircuitOpenError(`Circuit '${this.name}' is open after ${this.failures} failures.`, { circuit: this.name, retryAt });
+            }
+            if (this.state === CIRCUIT_STATE.HALF_OPEN) this._trialInFlight = true;
+            return this._trialInFlight;
+        }
+
+        /** Lets another call try the half-open circuit after the trial call was cancelled without an outcome. */
+        releaseTrial() {
+            this._trialInFlight = false;
+        }
+
+        recordSuccess() {
+            this.reset();
+        }
+
+        recordFailure() {
+            this.failures++;
+            this._trialInFlight = false;
+            if (this.state === CIRCUIT_STATE.HALF_OPEN || this.failures >= this.failureThreshold) {
+                this.state = CIRCUIT_STATE.OPEN;
+                this.openedAt = this._clock.now();
             }
         }
 
-        /** Resume a paused flow. Optional data can be passed back into the context. */
-        resume(resumeData = null) {
-            if (this._executionContext.status !== STATUS.PAUSED) {
-                 this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Cannot resume flow '${this._flowName}': not paused (status: ${this._executionContext.status})`);
-                return;
+        getState() {
+            return { name: this.name, state: this.state, failures: this.failures, openedAt: this.openedAt };
+        }
+    }
+
+    /** The error a flow's `result` promise rejects with. `reason` tells why the flow ended (see FAILURE_REASON). */
+    class FlowError extends Error {
+        constructor(message, { reason, cause = null, flowName, executionId, taskId = null }) {
+            super(message);
+            this.name = 'FlowError';
+            this.reason = reason;
+            this.cause = cause; // The underlying error (task error, TimeoutError, failed sub-flow's FlowError)
+            this.flowName = flowName;
+            this.executionId = executionId;
+            this.taskId = taskId; // The task that failed, if any
+            this.compensation = null; // { trigger, steps } once compensations ran, see getState()
+        }
+    }
+
+    /** Derives the FAILURE_REASON for a task error that ended a flow. */
+    function failureReasonOf(error) {
+        if (error instanceof TimeoutError) return FAILURE_REASON.TIMEOUT;
+        if (error instanceof FlowError) return error.reason; // A failed sub-flow keeps its reason
+        return FAILURE_REASON.TASK_ERROR;
+    }
+
+    // --- Storage Adapters (for persisting snapshots) ---
+    // Every adapter implements async save(key, snapshot), load(key) => snapshot | null, remove(key) and keys().
+
+    /** Keeps snapshots in memory. Useful for tests and as the default; does not survive page reloads. */
+    class MemoryStorageAdapter {
+        constructor() {
+            this._records = new Map();
+        }
+
+        async save(key, snapshot) {
+            this._records.set(key, toSerializable(snapshot));
+        }
+
+        async load(key) {
+            return this._records.has(key) ? toSerializable(this._records.get(key)) : null;
+        }
+
+        async remove(key) {
+            this._records.delete(key);
+        }
+
+        async keys() {
+            return [...this._records.keys()];
+        }
+    }
+
+    /** Keeps snapshots in window.localStorage (or any object with the Web Storage API) as JSON strings. */
+    class LocalStorageAdapter {
+        constructor({ prefix = 'flowcraft:', storage = null } = {}) {
+            this._prefix = prefix;
+            this._storage = storage;
+        }
+
+        get _backend() {
+            const backend = this._storage || global.localStorage;
+            if (!backend) throw new Error('[FlowCraft] localStorage is not available in this environment.');
+            return backend;
+        }
+
+        async save(key, snapshot) {
+            this._backend.setItem(this._prefix + key, JSON.stringify(snapshot));
+        }
+
+        async load(key) {
+            const json = this._backend.getItem(this._prefix + key);
+            return json === null ? null : JSON.parse(json);
+        }
+
+        async remove(key) {
+            this._backend.removeItem(this._prefix + key);
+        }
+
+        async keys() {
+            const backend = this._backend;
+            const keys = [];
+            for (let i = 0; i < backend.length; i++) {
+                const storageKey = backend.key(i);
+                if (storageKey && storageKey.startsWith(this._prefix)) keys.push(storageKey.slice(this._prefix.length));
+            }
+            return keys;
+        }
+    }
+
+    /** Keeps snapshots in an IndexedDB object store. Suited for large contexts. */
+    class IndexedDBStorageAdapter {
+        constructor({ databaseName = 'flowcraft', storeName = 'snapshots', indexedDB = null } = {}) {
+            this._databaseName = databaseName;
+            this._storeName = storeName;
+            this._indexedDB = indexedDB;
+            this._database = null; // Promise of the open database, created lazily
+        }
+
+        _open() {
+            if (!this._database) {
+                const factory = this._indexedDB || global.indexedDB;
+                if (!factory) return Promise.reject(new Error('[FlowCraft] IndexedDB is not available in this environment.'));
+                this._database = new Promise((resolve, reject) => {
+                    const request = factory.open(this._databaseName, 1);
+                    request.onupgradeneeded = () => request.result.createObjectStore(this._storeName);
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => reject(request.error);
+                });
+            }
+            return this._database;
+        }
+
+        async _request(mode, operation) {
+            const database = await this._open();
+            return new Promise((resolve, reject) => {
+                const request = operation(database.transaction(this._storeName, mode).objectStore(this._storeName));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        async save(key, snapshot) {
+            await this._request('readwrite', store => store.put(toSerializable(snapshot), key));
+        }
+
+        async load(key) {
+            const snapshot = await this._request('readonly', store => store.get(key));
+            return snapshot === undefined ? null : snapshot;
+        }
+
+        async remove(key) {
+            await this._request('readwrite', store => store.delete(key));
+        }
+
+        async keys() {
+            return this._request('readonly', store => store.getAllKeys());
+        }
+    }
+
+    // --- Triggers ---
+
+    // Key of each trigger source kind in a source object
+    const TRIGGER_SOURCE_KEYS = { event: 'on', interval: 'interval', afterFlow: 'afterFlow', promise: 'promise' };
+    // Statuses an afterFlow source can wait for, and the event announcing each
+    const AFTER_FLOW_EVENTS = { [STATUS.COMPLETED]: EVENT.COMPLETED, [STATUS.ERROR]: EVENT.FAILED, [STATUS.ABORTED]: EVENT.ABORTED };
+
+    /**
+     * Validates the source of FlowCraft.trigger() or of a WAIT_FOR signal: exactly one of { on: EventTarget, event },
+     * { interval: ms }, { afterFlow: flowName, status? } or { promise }, plus the debounce/throttle/skipIfRunning options.
+     * @returns {Object} A copy with `kind` set to 'event', 'interval', 'afterFlow' or 'promise'.
+     */
+    function normalizeTriggerSource(config, where) {
+        const kinds = config && typeof config === 'object'
+            ? Object.keys(TRIGGER_SOURCE_KEYS).filter(kind => config[TRIGGER_SOURCE_KEYS[kind]] !== undefined)
+            : [];
+        if (kinds.length !== 1) {
+            throw new Error(`[FlowCraft] Invalid source for ${where}. Must be an object with exactly one of: { on, event }, { interval }, { afterFlow } or { promise }.`);
+        }
+        const source = { ...config, kind: kinds[0] };
+        switch (source.kind) {
+            case 'event':
+                if (!source.on || typeof source.on.addEventListener !== 'function' || typeof source.event !== 'string' || !source.event) {
+                    throw new Error(`[FlowCraft] Invalid event source for ${where}. 'on' must be an EventTarget and 'event' an event type.`);
+                }
+                break;
+            case 'interval':
+                if (!(typeof source.interval === 'number' && source.interval > 0)) {
+                    throw new Error(`[FlowCraft] Invalid 'interval' for ${where}. Must be a positive number of milliseconds.`);
+                }
+                break;
+            case 'afterFlow':
+                source.status = [].concat(source.status === undefined ? STATUS.COMPLETED : source.status);
+                if (typeof source.afterFlow !== 'string' || !source.afterFlow || source.status.some(status => !AFTER_FLOW_EVENTS[status])) {
+                    throw new Error(`[FlowCraft] Invalid afterFlow source for ${where}. 'afterFlow' must be a flow name and 'status' one or more of: ${Object.keys(AFTER_FLOW_EVENTS).join(', ')}.`);
+                }
+                break;
+            case 'promise':
+                if (!source.promise || typeof source.promise.then !== 'function') {
+                    throw new Error(`[FlowCraft] Invalid 'promise' for ${where}. Must be a promise.`);
+                }
+                break;
+        }
+        ['debounce', 'throttle'].forEach(option => {
+            if (source[option] !== undefined && !(typeof source[option] === 'number' && source[option] >= 0)) {
+                throw new Error(`[FlowCraft] Invalid '${option}' for ${where}. Must be a non-negative number of milliseconds.`);
+            }
+        });
+        if (source.debounce && source.throttle) {
+            throw new Error(`[FlowCraft] Invalid options for ${where}. 'debounce' and 'throttle' cannot be combined.`);
+        }
+        return source;
+    }
+
+    /** Initial context of a triggered run, or resume data of a WAIT_FOR signal, when no mapping function is given. */
+    function triggerContext(source, payload) {
+        switch (source.kind) {
+            case 'event': return { event: payload };
+            case 'interval': return {};
+            case 'afterFlow': return payload.type === EVENT.COMPLETED ? { ...payload.context } : { error: payload.error };
+            default: return isPlainObject(payload) ? { ...payload } : { value: payload };
+        }
+    }
+
+    /** Serializable description of a trigger source, used as the signalData of a flow waiting on it. */
+    function describeTriggerSource(source) {
+        const mapped = typeof source.map === 'function' ? { mapped: true } : {};
+        switch (source.kind) {
+            case 'event': return { event: source.event, ...mapped };
+            case 'interval': return { interval: source.interval, ...mapped };
+            case 'afterFlow': return { afterFlow: source.afterFlow, status: source.status, ...mapped };
+            default: return { promise: true, ...mapped };
+        }
+    }
+
+    /**
+     * The source a restored flow waits on again, from the description in its signalData. Only interval and afterFlow
+     * sources without a `map` function can be rebuilt; event targets, promises and functions don't survive a snapshot.
+     * @returns {Object|null} A normalized source, or null if the flow has to be resumed manually.
+     */
+    function restorableTriggerSource(description) {
+        if (!isPlainObject(description) || description.mapped) return null;
+        if (description.interval === undefined && description.afterFlow === undefined) return null;
+        return normalizeTriggerSource(description, 'a restored waitFor signal');
+    }
+
+    /** Handle returned by FlowCraft.trigger(): runs a flow whenever its source fires, until disabled. */
+    class Trigger {
+        constructor(flowCraft, flowName, source, mapContext) {
+            this.flowName = flowName;
+            this.runs = 0; // Runs started so far
+            this.lastInstance = null; // Instance of the last run started
+            this._flowCraft = flowCraft;
+            this._source = source;
+            this._mapContext = mapContext;
+            this._detach = null; // Stops listening to the source, while enabled
+            this._debounceTimer = null;
+            this._throttledUntil = null;
+        }
+
+        /** Whether the trigger listens to its source. */
+        get enabled() {
+            return this._detach !== null;
+        }
+
+        /** Listen to the source again after disable(). */
+        enable() {
+            if (!this._detach) {
+                this._detach = this._flowCraft._listenTo(this._source, payload => this._fire(payload),
+                    error => this._log('error', `Promise of the trigger rejected, not starting the flow:`, error));
+            }
+            return this;
+        }
+
+        /** Stop listening to the source and drop a pending debounced run. Instances already started keep running. */
+        disable() {
+            if (this._detach) {
+                this._detach();
+                this._detach = null;
+            }
+            if (this._debounceTimer !== null) {
+                this._flowCraft._clock.clearTimeout(this._debounceTimer);
+                this._debounceTimer = null;
+            }
+            return this;
+        }
+
+        /** Applies debounce/throttle to a firing of the source. */
+        _fire(payload) {
+            const { debounce, throttle } = this._source;
+            const clock = this._flowCraft._clock;
+            if (debounce) {
+                if (this._debounceTimer !== null) clock.clearTimeout(this._debounceTimer);
+                this._debounceTimer = clock.setTimeout(() => {
+                    this._debounceTimer = null;
+                    this._start(payload);
+                }, debounce);
+                return;
+            }
+            if (throttle) {
+                if (this._throttledUntil !== null && clock.now() < this._throttledUntil) {
+                    this._log('debug', `Trigger throttled, not starting the flow.`);
+                    return;
+                }
+                this._throttledUntil = clock.now() + throttle;
+            }
+            this._start(payload);
+        }
+
+        /** Starts a run for a payload of the source. Errors are logged: there is no caller to throw them to. */
+        _start(payload) {
+            const flowCraft = this._flowCraft;
+            if (this._source.skipIfRunning && [...flowCraft._activeInstances.values()].some(executionContext => executionContext.flowName === this.flowName)) {
+                this._log('info', `Trigger skipped: the flow is already running.`);
+                return;
+            }
+            try {
+                const initialContext = this._mapContext ? this._mapContext(payload) : triggerContext(this._source, payload);
+                if (initialContext === null) {
+                    this._log('debug', `Trigger skipped: mapContext returned null.`);
+                    return;
+                }
+                if (typeof initialContext !== 'object') {
+                    throw new Error(`[FlowCraft] mapContext of the trigger of flow '${this.flowName}' must return an object or null.`);
+                }
+                const instance = flowCraft.run(this.flowName, initialContext);
+                instance.result.catch(() => {}); // The flow logs its failure; nobody awaits triggered runs
+                this.runs++;
+                this.lastInstance = instance;
+                this._log('info', `Trigger started execution '${instance.executionId}'.`);
+            } catch (error) {
+                this._log('error', `Trigger failed to start the flow:`, error);
+            }
+        }
+
+        _log(level, message, ...args) {
+            const flowCraft = this._flowCraft;
+            const flow = flowCraft._flows[this.flowName];
+            const { logLevel, logger } = flow ? flow.options : { logLevel: flowCraft._logLevel, logger: flowCraft._logger };
+            flowCraft._log(logLevel, logger[level], `[FlowCraft][${this.flowName}] ${message}`, ...args);
+        }
+    }
+
+    // --- FlowInstance Class (Controller for a running flow) ---
+    class FlowInstance {
+        constructor(flowCraft, flowName, executionContext) {
+            this._flowCraft = flowCraft;
+            this._flowName = flowName;
+            this._executionContext = executionContext; // Reference to the runner's state
+            this._listeners = {}; // { eventType: [callback] }
+            this._promise = new Promise((resolve, reject) => {
+                this._resolvePromise = resolve;
+                this._rejectPromise = reject;
+            });
+        }
+
+        /** Unique id of this execution, usable with FlowCraft.getInstance(). */
+        get executionId() {
+            return this._executionContext.id;
+        }
+
+        /** The promise resolves/rejects when the flow completes, aborts, or errors definitively. */
+        get result() {
+            return this._promise;
+        }
+
+        /** Get the current state of the flow instance. */
+        getState() {
+            // Return a copy to prevent external mutation of internal state
+            return {
+                flowName: this._flowName,
+                executionId: this._executionContext.id,
+                version: this._executionContext.options.version,
+                status: this._executionContext.status,
+                currentTaskIndex: this._executionContext.currentTaskIndex,
+                context: { ...this._executionContext.context }, // Shallow copy
+                lastError: this._executionContext.lastError,
+                signalData: this._executionContext.signalData,
+                branches: this._executionContext.branches.map(branch => ({ ...branch })),
+                iterations: Object.keys(this._executionContext.groupStates).reduce((iterations, taskId) => {
+                    const state = this._executionContext.groupStates[taskId];
+                    if (Array.isArray(state.items)) iterations[taskId] = iterationProgress(state); // forEach tasks in flight
+                    return iterations;
+                }, {}),
+                contextChanges: this._executionContext.contextChanges.map(change => ({ ...change, changes: { ...change.changes } })),
+                compensation: this._executionContext.compensation && {
+                    ...this._executionContext.compensation,
+                    steps: this._executionContext.compensation.steps.map(step => ({ ...step }))
+                },
+                children: Object.keys(this._executionContext.children).reduce((children, key) => {
+                    children[key] = this._executionContext.children[key].flowInstance.getState(); // Sub-flow state tree
+                    return children;
+                }, {})
+            };
+        }
+
+        /**
+         * Returns the recorded execution trace: one entry per task attempt, in the order attempts ended.
+         * Pass it to FlowCraft.exportTrace() for Chrome Trace Event or OpenTelemetry-style output.
+         * @returns {Object} { executionId, flowName, version, status, startedAt, endedAt, duration, runningTime, entries }
+         */
+        getTrace() {
+            const executionContext = this._executionContext;
+            const { startedAt, endedAt } = executionContext;
+            return {
+                executionId: executionContext.id,
+                flowName: this._flowName,
+                version: executionContext.options.version,
+                status: executionContext.status,
+                startedAt, // null until the flow starts
+                endedAt, // null while the flow is active
+                duration: startedAt === null ? 0 : (endedAt !== null ? endedAt : this._flowCraft._clock.now()) - startedAt, // Wall time, pauses included
+                runningTime: this._flowCraft._runningTime(executionContext), // Pauses excluded
+                entries: executionContext.trace.map(({ child, ...entry }) => ({
+                    ...entry,
+                    changedKeys: [...entry.changedKeys],
+                    ...(child ? { child: child.flowInstance.getTrace() } : {}) // Trace of the sub-flow this attempt ran
+                }))
+            };
+        }
+
+        /**
+         * Subscribe to lifecycle events of this flow instance.
+         * @param {string} event - One of the EVENT constants (e.g. 'taskSuccess').
+         * @param {Function} callback - Called with a structured payload { type, flowName, executionId, timestamp, ... }.
+         * @returns {Function} A function that removes the subscription.
+         */
+        on(event, callback) {
+            addListener(this._listeners, event, callback);
+            return () => this.off(event, callback);
+        }
+
+        /** Remove a subscription made with on(). */
+        off(event, callback) {
+            removeListener(this._listeners, event, callback);
+        }
+
+        /**
+         * Create a serializable record of the flow's progress (including paused sub-flows),
+         * which FlowCraft.restore() turns back into a resumable instance, e.g. after a page reload.
+         * Context values that cannot be represented as JSON (functions, class instances) are not preserved.
+         */
+        snapshot() {
+            return this._flowCraft._createSnapshot(this._executionContext);
+        }
+
+        /** Request the flow to pause after the current task (if running). */
+        pause() {
+            if (this._executionContext.status === STATUS.RUNNING) {
+                this._executionContext.pauseRequested = true;
+                 this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.info, `[FlowCraft] Pause requested for flow '${this._flowName}'`);
+                this._activeChildren().forEach(child => child.flowInstance.pause()); // Cascade to running sub-flows
+            } else {
+                this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Cannot pause flow '${this._flowName}': not running (status: ${this._executionContext.status})`);
+            }
+        }
+
+        /**
+         * Resume a paused flow. Optional data can be passed back into the context.
+         * A sub-flow whose parent is paused on it is resumed through the parent, which re-enters the sub-flow task.
+         */
+        resume(resumeData = null) {
+            if (this._executionContext.status !== STATUS.PAUSED) {
+                 this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Cannot resume flow '${this._flowName}': not paused (status: ${this._executionContext.status})`);
+                return;
+            }
+            const parent = this._executionContext.parent;
+            if (parent && parent.status === STATUS.PAUSED) {
+                this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.info, `[FlowCraft] Resuming sub-flow '${this._flowName}' through its parent flow '${parent.flowName}'...`);
+                parent.flowInstance.resume(resumeData);
+                return;
+            }
+
+            this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.info, `[FlowCraft] Resuming flow '${this._flowName}'...`);
+            this._flowCraft._stopWaiting(this._executionContext); // Resumed before the source of a WAIT_FOR signal fired
+            if (resumeData !== null && typeof resumeData === 'object') {
+                // Merge resumeData into context, potentially overwriting
+                Object.assign(this._executionContext.context, resumeData);
+                 this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.debug, `[FlowCraft] Merged resume data into context for '${this._flowName}'.`);
+            }
+            this._executionContext.status = STATUS.RUNNING;
+            this._executionContext.runningSince = this._flowCraft._clock.now();
+            this._executionContext.signalData = null; // Clear signal data
+            this._executionContext.resumeData = resumeData; // Forwarded to paused sub-flows when their task is re-entered
+            if (this._executionContext.startedAt === null) this._executionContext.startedAt = this._flowCraft._clock.now(); // Restored from a snapshot
+            this._flowCraft._emit(this._executionContext, EVENT.RESUMED, { taskIndex: this._executionContext.currentTaskIndex, resumeData });
+            // Re-trigger the execution loop asynchronously
+            this._flowCraft._clock.setTimeout(() => this._flowCraft._executeFlow(this._executionContext), 0);
+        }
+
+        /** Execution contexts of sub-flows that are still running or paused. */
+        _activeChildren() {
+            return Object.values(this._executionContext.children)
+                .filter(child => child.status === STATUS.RUNNING || child.status === STATUS.PAUSED);
+        }
+
+        /** Abort the flow execution immediately (or cancel it while it waits in a concurrency queue). */
+        abort(reason = 'Manual abort') {
+            if (this._executionContext.status === STATUS.RUNNING || this._executionContext.status === STATUS.PAUSED || this._executionContext.status === STATUS.IDLE) {
+                this._executionContext.status = STATUS.ABORTED;
+                this._flowCraft._stopWaiting(this._executionContext);
+                this._executionContext.lastError = new FlowError(`Flow aborted: ${reason}`, {
+                    reason: FAILURE_REASON.ABORTED,
+                    flowName: this._flowName,
+                    executionId: this._executionContext.id
+                });
+                 this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Aborting flow '${this._flowName}'. Reason: ${reason}`);
+                abortWithReason(this._executionContext.abortController, this._executionContext.lastError); // Cancel tasks in flight
+                this._flowCraft._emit(this._executionContext, EVENT.ABORTED, { reason, error: this._executionContext.lastError });
+                this._activeChildren().forEach(child => child.flowInstance.abort(`Parent flow '${this._flowName}' aborted: ${reason}`));
+                this._flowCraft._settleFailure(this._executionContext, this._executionContext.lastError); // Compensate, then reject the main promise
+            } else {
+                this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Cannot abort flow '${this._flowName}': not running, paused or queued (status: ${this._executionContext.status})`);
+            }
+        }
+
+        // --- Debugger ---
+
+        /**
+         * Enable, change or disable step-through debugging. While debugging, the flow pauses (STATUS.PAUSED, with
+         * signalData { debug: true, reason, taskId, taskIndex }) before each task in step mode, before breakpoints,
+         * and at a task whose error would end the flow.
+         * @param {boolean|Object} [config=true] - true for step mode, false to disable, or { step, breakpoints, pauseOnError }.
+         *   Breakpoints are task ids or predicates (context, taskInfo) => boolean.
+         * @returns {FlowInstance} this, for chaining.
+         */
+        debug(config = true) {
+            this._executionContext.debug = normalizeDebug(config, this._flowName);
+            return this;
+        }
+
+        /** Run the next task, then pause again. */
+        step() {
+            if (!this._isPaused('step')) return;
+            this._debugState().stepping = true;
+            this.resume();
+        }
+
+        /** Run until the next breakpoint, error or the end of the flow. */
+        continue() {
+            if (!this._isPaused('continue')) return;
+            if (this._executionContext.debug) this._executionContext.debug.stepping = false;
+            this.resume();
+        }
+
+        /** Skip the task the flow is paused before and stay paused before the following one. */
+        skipTask() {
+            if (!this._isPaused('skip a task of') || !this._canMove('skip a task of')) return;
+            const executionContext = this._executionContext;
+            const taskIndex = executionContext.currentTaskIndex;
+            const task = executionContext.tasks[taskIndex];
+            if (!task) {
+                this._flowCraft._log(executionContext.logLevel, executionContext.logger.warn, `[FlowCraft] Cannot skip a task of flow '${this._flowName}': no task left.`);
+                return;
+            }
+            const now = this._flowCraft._clock.now();
+            this._flowCraft._log(executionContext.logLevel, executionContext.logger.info, `[FlowCraft][${this._flowName}] Debugger skipped task '${task.id}'.`);
+            this._flowCraft._emit(executionContext, EVENT.SKIP, { taskId: task.id, taskIndex, reason: 'debug' });
+            this._flowCraft._trace(executionContext, {
+                taskId: task.id, index: taskIndex, attempt: task.retries + 1, startedAt: now, endedAt: now,
+                contextBefore: executionContext.context, outcome: TRACE_OUTCOME.SKIP, reason: 'debug'
+            });
+            task.retries = 0;
+            task.attempts = [];
+            this._moveTo(taskIndex + 1, 'skip');
+        }
+
+        /** Go back to the task that ran last (the failing one, after a pause on error) and pause before it. */
+        retryTask() {
+            if (!this._isPaused('retry a task of') || !this._canMove('retry a task of')) return;
+            const executionContext = this._executionContext;
+            if (executionContext.lastTaskIndex === null) {
+                this._flowCraft._log(executionContext.logLevel, executionContext.logger.warn, `[FlowCraft] Cannot retry a task of flow '${this._flowName}': no task has run yet.`);
+                return;
+            }
+            const task = executionContext.tasks[executionContext.lastTaskIndex];
+            task.retries = 0;
+            task.attempts = [];
+            this._moveTo(executionContext.lastTaskIndex, 'retry');
+        }
+
+        /**
+         * Shallow-merge a patch into the context of the paused flow, e.g. to fix the input of a failing task.
+         * @param {Object} patch
+         */
+        setContext(patch) {
+            if (!this._isPaused('set the context of')) return;
+            if (patch === null || typeof patch !== 'object') {
+                throw new Error('[FlowCraft] setContext() expects an object.');
+            }
+            Object.assign(this._executionContext.context, patch);
+            this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.debug, `[FlowCraft][${this._flowName}] Debugger updated context:`, patch);
+            this._flowCraft._persist(this._executionContext);
+        }
+
+        _isPaused(action) {
+            if (this._executionContext.status === STATUS.PAUSED) return true;
+            this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Cannot ${action} flow '${this._flowName}': not paused (status: ${this._executionContext.status})`);
+            return false;
+        }
+
+        /** Moving the task pointer is only safe between tasks, not while a parallel group, forEach task or sub-flow is half done. */
+        _canMove(action) {
+            if (Object.keys(this._executionContext.groupStates).length === 0 && this._activeChildren().length === 0) return true;
+            this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Cannot ${action} flow '${this._flowName}': paused inside a parallel group, forEach task or sub-flow.`);
+            return false;
+        }
+
+        _debugState() {
+            if (!this._executionContext.debug) this._executionContext.debug = normalizeDebug({}, this._flowName);
+            return this._executionContext.debug;
+        }
+
+        /** Points the paused flow at another task and stays paused before it. */
+        _moveTo(taskIndex, reason) {
+            const executionContext = this._executionContext;
+            const task = executionContext.tasks[taskIndex];
+            executionContext.currentTaskIndex = taskIndex;
+            this._debugState().passIndex = taskIndex;
+            executionContext.signalData = { debug: true, reason, taskId: task ? task.id : null, taskIndex };
+            this._flowCraft._log(executionContext.logLevel, executionContext.logger.info, `[FlowCraft][${this._flowName}] Debugger paused before ${task ? `task '${task.id}'` : 'the end of the flow'}.`);
+            this._flowCraft._persist(executionContext);
+        }
+    }
+
+
+    // --- FlowCraft Core Class ---
+    class FlowCraft {
+        /**
+         * Use FlowCraft.create(options), which also installs the plugins.
+         * @param {Object} [options={}] - See create().
+         * @param {Object} [options.clock] - Source of time: { now(), setTimeout(callback, ms), clearTimeout(timer) }.
+         *   Defaults to the system clock; FlowCraft.testing passes a fake clock.
+         */
+        constructor(options = {}) {
+            if (options.namespace !== undefined && options.namespace !== null && (typeof options.namespace !== 'string' || !options.namespace)) {
+                throw new Error('[FlowCraft] Invalid namespace. Must be a non-empty string.');
+            }
+            if (options.logLevel !== undefined && !Object.values(LOG_LEVEL).includes(options.logLevel)) {
+                throw new Error(`[FlowCraft] Invalid logLevel. Must be one of: ${Object.values(LOG_LEVEL).join(', ')}.`);
+            }
+            if (options.plugins !== undefined && (!Array.isArray(options.plugins) || options.plugins.some(plugin => typeof plugin !== 'function'))) {
+                throw new Error('[FlowCraft] Invalid plugins. Must be an array of functions.');
+            }
+            this.version = VERSION;
+            this.namespace = options.namespace || null; // Qualifies execution ids, events, snapshots and log output
+            this._clock = options.clock || systemClock;
+            this._logger = options.logger || defaultLogger(this.namespace); // Default logger of flows defined on this runner
+            this._logLevel = options.logLevel !== undefined ? options.logLevel : LOG_LEVEL.INFO; // Default log level of those flows
+            this._flows = {}; // Store defined flows { flowName: { tasks: [], options: {} } }
+            this._activeInstances = new Map(); // Track running instances { executionId: executionContext }
+            this._queue = []; // Execution contexts waiting for a concurrency slot, in run() order
+            this._history = []; // Finished execution contexts, oldest first
+            this._historyLimit = DEFAULT_HISTORY_LIMIT;
+            this._executionCounter = 0;
+            this._storage = new MemoryStorageAdapter(); // Default storage for flows with autoPersist
+            this._circuitBreakers = new Map(); // Shared circuit breakers { name: CircuitBreaker }
+            this._listeners = {}; // Global event listeners { eventType: [callback] }
+            this._middleware = []; // Functions wrapping every task invocation, outermost first
+            this._taskRegistry = new Map(); // Named tasks for JSON definitions { name: { func, meta } }
+        }
+
+        /**
+         * Creates an independent runner: its flows, registered tasks, instances, listeners, middleware, storage and
+         * circuit breakers are not shared with this or any other runner, so several apps on one page can use the same
+         * flow names. The default FlowCraft object is a runner too.
+         * @param {Object} [options={}]
+         * @param {string} [options.namespace] - Prefixes execution ids and default log output, is added to event payloads
+         *   and snapshots, and is checked by restore(). Keeps ids unique in storage shared with other runners.
+         * @param {Object} [options.logger] - Default logger of the runner's flows {error, warn, info, debug}.
+         * @param {number} [options.logLevel=LOG_LEVEL.INFO] - Default log level of the runner's flows.
+         * @param {Array<Function>} [options.plugins] - Functions called with the new runner, e.g. to register tasks,
+         *   middleware or listeners.
+         * @returns {FlowCraft} The new runner, with the same API as the default FlowCraft object.
+         */
+        create(options = {}) {
+            return createRunner(options);
+        }
+
+        // --- Task Registry & JSON Definitions ---
+
+        /**
+         * Registers a function under a name, so JSON flow definitions can reference it as a task ('task'),
+         * condition ('when') or compensation ('compensate'). Flows resolve names when they are defined.
+         * @param {string} name - Unique task name.
+         * @param {Function} func - The task function: (context, { signal, taskInfo, abortSignal, params }) => result
+         * @param {Object} [meta={}] - Free-form description, e.g. { label, description }. `meta.params`
+         *   ({ name: type | { type, required } }) lets define() validate the `params` of steps using the task.
+         */
+        registerTask(name, func, meta = {}) {
+            if (typeof name !== 'string' || !name) {
+                throw new Error('[FlowCraft] Task name must be a non-empty string.');
+            }
+            if (typeof func !== 'function') {
+                throw new Error(`[FlowCraft] Task '${name}' must be a function.`);
+            }
+            if (meta === null || typeof meta !== 'object') {
+                throw new Error(`[FlowCraft] Meta of task '${name}' must be an object.`);
+            }
+            if (this._taskRegistry.has(name)) {
+                this._log(this._logLevel, this._logger.warn, `[FlowCraft] Warning: Re-registering task '${name}'.`);
+            }
+            this._taskRegistry.set(name, { func, meta: { ...meta } });
+        }
+
+        /**
+         * Lists the registered tasks, e.g. to offer them in a flow editor.
+         * @returns {Array<{ name: string, meta: Object }>}
+         */
+        getRegisteredTasks() {
+            return [...this._taskRegistry.entries()].map(([name, entry]) => ({ name, meta: { ...entry.meta } }));
+        }
+
+        /** Defines a flow from a validated JSON definition, resolving task names through the registry. */
+        _defineFromJson(definition) {
+            const problems = validateDefinition(definition, this._taskRegistry);
+            if (problems.length > 0) {
+                throw new DefinitionError(`[FlowCraft] Invalid definition for flow '${definition && definition.name}'`, { flowName: definition && definition.name, problems });
+            }
+
+            const json = toSerializable(definition); // Detach from the caller's object
+            const registered = name => this._taskRegistry.get(name).func;
+            const toTask = step => {
+                const { task, when, compensate, onError, parallel, description, ...rest } = step;
+                const taskDefinition = { ...rest };
+                if (task !== undefined) taskDefinition[step.items !== undefined ? 'task' : 'func'] = registered(task); // forEach steps run it per item
+                if (when !== undefined) taskDefinition.when = registered(when);
+                if (compensate !== undefined) taskDefinition.compensate = registered(compensate);
+                if (onError !== undefined) taskDefinition.onError = () => STATIC_ERROR_ACTIONS[onError];
+                if (parallel !== undefined) taskDefinition.parallel = parallel.map(toTask);
+                return taskDefinition;
+            };
+            this.define(json.name, json.tasks.map(toTask), { ...json.options, version: json.version !== undefined ? json.version : '1' });
+            this._flows[json.name].definition = json;
+        }
+
+        /**
+         * Returns the JSON definition of a flow. Flows defined from JSON return their definition as given;
+         * flows defined in code are converted, which requires every function to be registered with registerTask().
+         * @param {string} flowName
+         * @returns {Object} { name, version, tasks, options? }
+         * @throws {DefinitionError} If the flow uses functions or values that have no JSON form.
+         */
+        exportDefinition(flowName) {
+            const flowDefinition = this._flows[flowName];
+            if (!flowDefinition) {
+                throw new Error(`[FlowCraft] Flow '${flowName}' is not defined.`);
+            }
+            if (flowDefinition.definition) return toSerializable(flowDefinition.definition);
+
+            const problems = [];
+            const nameOf = (func, path) => {
+                for (const [name, entry] of this._taskRegistry) {
+                    if (entry.func === func) return name;
+                }
+                problems.push(`${path}: function '${func.name || 'anonymous'}' is not registered with registerTask()`);
+                return undefined;
+            };
+            const jsonValue = (value, path) => {
+                if (!isJsonValue(value)) problems.push(`${path}: contains functions or other values without a JSON form`);
+                return value;
+            };
+            const toStep = (task, path, defaultId) => {
+                if (typeof task === 'function') return { id: defaultId, task: nameOf(task, path) };
+                const step = { id: task.id || defaultId };
+                Object.keys(task).forEach(key => {
+                    const value = task[key];
+                    const where = `${path}.${key}`;
+                    if (key === 'id' || value === undefined) return;
+                    if (key === 'func' || (key === 'task' && typeof value === 'function')) step.task = nameOf(value, where); // 'task' of forEach steps
+                    else if (key === 'when' || key === 'compensate') step[key] = nameOf(value, where);
+                    else if (key === 'parallel') step.parallel = value.map((branch, index) => toStep(branch, `${where}[${index}]`, `branch_${index}`));
+                    else if (key === 'next' || key === 'goto') {
+                        if (typeof value === 'string') step.next = value;
+                        else problems.push(`${where}: routing functions cannot be exported`);
+                    } else if (typeof value === 'function') problems.push(`${where}: functions cannot be exported`);
+                    else step[key] = jsonValue(value, where);
+                });
+                return step;
+            };
+
+            const { tasks, options } = flowDefinition.source;
+            const exported = {
+                name: flowName,
+                version: flowDefinition.options.version,
+                tasks: tasks.map((task, index) => toStep(task, `tasks[${index}]`, `task_${index}`))
+            };
+            const exportedOptions = {};
+            Object.keys(options).forEach(key => {
+                const value = options[key];
+                if (key === 'version' || key === 'logger' || key === 'storage' || value === undefined) return; // Not part of the definition
+                if (typeof value === 'function') problems.push(`options.${key}: functions cannot be exported`);
+                else exportedOptions[key] = jsonValue(value, `options.${key}`);
+            });
+            if (Object.keys(exportedOptions).length > 0) exported.options = exportedOptions;
+
+            if (problems.length === 0) problems.push(...validateDefinition(exported, this._taskRegistry));
+            if (problems.length > 0) {
+                throw new DefinitionError(`[FlowCraft] Flow '${flowName}' cannot be exported as JSON`, { flowName, problems });
+            }
+            return toSerializable(exported);
+        }
+
+        // --- Instance Registry ---
+
+        /**
+         * Lists flow instances: active ones (running, paused, queued or compensating) in start order,
+         * then the retained finished ones, oldest first. Sub-flow instances are included.
+         * @param {Object} [filter]
+         * @param {string} [filter.flowName] - Only instances of this flow.
+         * @param {string|string[]} [filter.status] - Only instances with this status (or one of these statuses).
+         * @returns {FlowInstance[]}
+         */
+        getInstances({ flowName, status } = {}) {
+            const statuses = status === undefined ? null : [].concat(status);
+            return [...this._activeInstances.values(), ...this._history]
+                .filter(executionContext => (flowName === undefined || executionContext.flowName === flowName) &&
+                    (statuses === null || statuses.includes(executionContext.status)))
+                .map(executionContext => executionContext.flowInstance);
+        }
+
+        /**
+         * Finds an active or retained finished instance by its execution id.
+         * @param {string} executionId
+         * @returns {FlowInstance|null}
+         */
+        getInstance(executionId) {
+            const executionContext = this._activeInstances.get(executionId) ||
+                this._history.find(finished => finished.id === executionId);
+            return executionContext ? executionContext.flowInstance : null;
+        }
+
+        /**
+         * Aborts every running, paused or queued instance, optionally only those of one flow.
+         * @param {string} [flowName] - Only abort instances of this flow.
+         * @param {string} [reason='Aborted by abortAll()']
+         * @returns {number} The number of instances aborted.
+         */
+        abortAll(flowName, reason = 'Aborted by abortAll()') {
+            const abortable = [STATUS.RUNNING, STATUS.PAUSED, STATUS.IDLE];
+            const instances = this.getInstances({ flowName, status: abortable });
+            // Cancel queued runs first, so aborting a running instance does not start them
+            const ordered = [
+                ...instances.filter(instance => instance._executionContext.status === STATUS.IDLE),
+                ...instances.filter(instance => instance._executionContext.status !== STATUS.IDLE)
+            ];
+            let aborted = 0;
+            ordered.forEach(instance => {
+                if (!abortable.includes(instance._executionContext.status)) return; // Already aborted with its parent
+                instance.abort(reason);
+                aborted++;
+            });
+            return aborted;
+        }
+
+        /**
+         * Sets how many finished instances are retained for getInstances()/getInstance().
+         * @param {number} limit - A non-negative integer. 0 disables the history.
+         */
+        setHistoryLimit(limit) {
+            if (!(Number.isInteger(limit) && limit >= 0)) {
+                throw new Error('[FlowCraft] History limit must be a non-negative integer.');
+            }
+            this._historyLimit = limit;
+            this._history.splice(0, Math.max(0, this._history.length - limit));
+        }
+
+        /**
+         * Subscribe to lifecycle events of every flow instance (including sub-flows).
+         * @param {string} event - One of the EVENT constants (e.g. 'taskStart').
+         * @param {Function} callback - Called with a structured payload { type, flowName, executionId, timestamp, ... }.
+         * @returns {Function} A function that removes the subscription.
+         */
+        on(event, callback) {
+            addListener(this._listeners, event, callback);
+            return () => this.off(event, callback);
+        }
+
+        /** Remove a subscription made with on(). */
+        off(event, callback) {
+            removeListener(this._listeners, event, callback);
+        }
+
+        /**
+         * Register a middleware wrapping every task invocation (plain tasks and parallel branches).
+         * Signature: async (invocation, next) => result, where invocation is
+         * { flowName, executionId, taskId, taskInfo, context, api } and next() runs the rest of the chain and the task.
+         * A middleware may replace invocation.context or invocation.api before calling next(), throw to fail the task,
+         * or transform the result. Middleware runs in registration order.
+         * @param {Function} middleware
+         * @returns {FlowCraft} this, for chaining.
+         */
+        use(middleware) {
+            if (typeof middleware !== 'function') {
+                throw new Error('[FlowCraft] Middleware must be a function.');
+            }
+            this._middleware.push(middleware);
+            return this;
+        }
+
+        /**
+         * Converts an execution trace to an external format.
+         * @param {Object|FlowInstance} trace - A trace from instance.getTrace(), or the instance itself.
+         * @param {string} format - TRACE_FORMAT.CHROME ('chrome') or TRACE_FORMAT.OTEL ('otel').
+         * @returns {Object} Chrome Trace Event JSON ({ traceEvents, ... }) or the root span of an OpenTelemetry-style span tree.
+         */
+        exportTrace(trace, format) {
+            const data = trace instanceof FlowInstance ? trace.getTrace() : trace;
+            if (!data || !Array.isArray(data.entries)) {
+                throw new Error('[FlowCraft] exportTrace() expects a trace from instance.getTrace() or a FlowInstance.');
+            }
+            if (data.startedAt === null) {
+                throw new Error(`[FlowCraft] Cannot export the trace of flow '${data.flowName}': it has not started yet.`);
+            }
+            if (format === TRACE_FORMAT.CHROME) return toChromeTrace(data, this._clock.now());
+            if (format === TRACE_FORMAT.OTEL) return toOpenTelemetry(data, this._clock.now());
+            throw new Error(`[FlowCraft] Unknown trace format '${format}'. Must be one of: ${Object.values(TRACE_FORMAT).join(', ')}.`);
+        }
+
+        /** Throws a ContractError if the context doesn't satisfy the task's `requires` or `provides` declaration. */
+        _checkContract(executionContext, taskDefinition, kind) {
+            if (!taskDefinition[kind]) return;
+            const violations = contractViolations(taskDefinition[kind], executionContext.context);
+            if (violations.length > 0) {
+                const verb = kind === 'requires' ? 'requires' : 'must provide';
+                throw new ContractError(`[FlowCraft] Task '${taskDefinition.id}' of flow '${executionContext.flowName}' ${verb}`, {
+                    flowName: executionContext.flowName, taskId: taskDefinition.id, kind, violations
+                });
+            }
+        }
+
+        /**
+         * Appends a task attempt to the execution's trace (up to the traceLimit option) and, if it changed the context,
+         * to its context changes (up to CONTEXT_CHANGE_LIMIT). Both drop their oldest entries first.
+         */
+        _trace(executionContext, { contextBefore, ...entry }) {
+            const limit = executionContext.options.traceLimit;
+            const endedAt = entry.endedAt !== undefined ? entry.endedAt : this._clock.now();
+            const context = executionContext.context;
+            const keys = new Set([...Object.keys(contextBefore), ...Object.keys(context)]);
+            const changedKeys = [...keys].filter(key => contextBefore[key] !== context[key]); // Shallow: added, removed or reassigned
+            if (changedKeys.length > 0) {
+                executionContext.contextChanges.push({
+                    taskId: entry.taskId,
+                    groupId: entry.groupId || null,
+                    attempt: entry.attempt,
+                    outcome: entry.outcome,
+                    changes: changedKeys.reduce((changes, key) => ({ ...changes, [key]: { before: contextBefore[key], after: context[key] } }), {})
+                });
+                if (executionContext.contextChanges.length > CONTEXT_CHANGE_LIMIT) executionContext.contextChanges.splice(0, executionContext.contextChanges.length - CONTEXT_CHANGE_LIMIT);
+            }
+            if (limit === 0) return; // Tracing disabled
+            executionContext.trace.push({
+                groupId: null,
+                itemIndex: null,
+                reason: null,
+                error: null,
+                signal: null,
+                child: null,
+                ...entry,
+                endedAt,
+                duration: endedAt - entry.startedAt,
+                changedKeys
+            });
+            if (executionContext.trace.length > limit) executionContext.trace.splice(0, executionContext.trace.length - limit);
+        }
+
+        /** Notifies instance and global listeners of a lifecycle event. Listener errors are logged, never thrown. */
+        _emit(executionContext, type, details = {}) {
+            const instanceListeners = executionContext.flowInstance ? executionContext.flowInstance._listeners[type] || [] : [];
+            const listeners = [...instanceListeners, ...(this._listeners[type] || [])];
+            if (listeners.length === 0) return;
+
+            const payload = {
+                type,
+                namespace: this.namespace,
+                flowName: executionContext.flowName,
+                executionId: executionContext.id,
+                parentExecutionId: executionContext.parent ? executionContext.parent.id : null,
+                timestamp: this._clock.now(),
+                ...details
+            };
+            listeners.forEach(listener => {
+                try {
+                    listener(payload);
+                } catch (error) {
+                    this._log(executionContext.logLevel, executionContext.logger.error, `[FlowCraft][${executionContext.flowName}] Error in '${type}' event listener:`, error);
+                }
+            });
+        }
+
+        /**
+         * Get the state of a shared circuit breaker.
+         * @param {string} name - The circuit name used in `circuitBreaker` options.
+         * @returns {Object|null} { name, state, failures, openedAt }, or null if no task used the circuit yet.
+         */
+        getCircuitBreaker(name) {
+            const breaker = this._circuitBreakers.get(name);
+            return breaker ? breaker.getState() : null;
+        }
+
+        /** Close a shared circuit breaker and clear its failure count. */
+        resetCircuitBreaker(name) {
+            const breaker = this._circuitBreakers.get(name);
+            if (breaker) breaker.reset();
+        }
+
+        /** Returns the shared breaker for a normalized `circuitBreaker` option, creating it on first use. */
+        _circuitBreakerFor(config) {
+            if (!this._circuitBreakers.has(config.name)) {
+                this._circuitBreakers.set(config.name, new CircuitBreaker(config.name, config, this._clock));
+            }
+            return this._circuitBreakers.get(config.name);
+        }
+
+        /**
+         * Sets the default storage adapter used by flows with `autoPersist` that don't specify their own `storage`.
+         * @param {Object} storage - An adapter with save(key, snapshot), load(key), remove(key) and keys() methods.
+         */
+        setStorage(storage) {
+            ['save', 'load', 'remove', 'keys'].forEach(method => {
+                if (!storage || typeof storage[method] !== 'function') {
+                    throw new Error(`[FlowCraft] Invalid storage adapter: missing '${method}' method.`);
+                }
+            });
+            this._storage = storage;
+        }
+
+        /** The default storage adapter (an in-memory adapter unless changed with setStorage()). */
+        getStorage() {
+            return this._storage;
+        }
+
+        /**
+         * Restores a flow instance from a snapshot created by FlowInstance.snapshot().
+         * The instance is returned in PAUSED status; call resume() to continue it (a flow waiting on a restorable WAIT_FOR source resumes by itself).
+         * If the flow definition changed since the snapshot was taken, the flow's `migrate` option is used to convert it.
+         * @param {Object} snapshot - The snapshot record.
+         * @returns {FlowInstance} - A controller object for the restored flow instance.
+         */
+        restore(snapshot) {
+            if (!snapshot || typeof snapshot !== 'object' || snapshot.formatVersion !== SNAPSHOT_FORMAT_VERSION) {
+                throw new Error(`[FlowCraft] Invalid snapshot: expected an object created by FlowInstance.snapshot() (format version ${SNAPSHOT_FORMAT_VERSION}).`);
+            }
+            if ((snapshot.namespace || null) !== this.namespace) {
+                throw new Error(`[FlowCraft] Cannot restore flow '${snapshot.flowName}': snapshot belongs to namespace '${snapshot.namespace || '(default)'}', not '${this.namespace || '(default)'}'.`);
+            }
+            return this._restoreExecution(snapshot, null).flowInstance;
+        }
+
+        _log(level, logFn, ...args) {
+            if (level >= LOG_LEVEL.ERROR && (logFn === console.error || (logFn.name && logFn.name.includes('error')))) logFn(...args);
+            else if (level >= LOG_LEVEL.INFO && (logFn === console.info || logFn === console.warn || (logFn.name && (logFn.name.includes('info') || logFn.name.includes('warn'))))) logFn(...args);
+            else if (level >= LOG_LEVEL.DEBUG && (logFn === console.debug || (logFn.name && logFn.name.includes('debug')))) logFn(...args);
+        }
+
+        /**
+         * Normalizes a task given to define() into the internal task definition shape.
+         * Parallel branches are normalized recursively with `isBranch` set.
+         */
+        _normalizeTask(flowName, task, index, isBranch = false) {
+            const where = isBranch ? `branch at index ${index}` : `task at index ${index}`;
+            const defaultId = isBranch ? `branch_${index}` : `task_${index}`;
+
+            if (typeof task === 'function') {
+                return { id: defaultId, func: task, options: {}, retries: 0 };
+            }
+            if (task === null || typeof task !== 'object' || (typeof task.func !== 'function' && !Array.isArray(task.parallel) && typeof task.flow !== 'string' && task.items === undefined)) {
+                throw new Error(`[FlowCraft] Invalid ${where} for flow '${flowName}'. Must be a function or an object with a 'func', 'parallel', 'flow' or 'items' property.`);
+            }
+
+            const next = task.next !== undefined ? task.next : task.goto;
+            if (task.params !== undefined && (task.params === null || typeof task.params !== 'object')) {
+                throw new Error(`[FlowCraft] Invalid 'params' for ${where} in flow '${flowName}'. Must be an object.`);
+            }
+            ['when', 'compensate'].forEach(key => {
+                if (task[key] !== undefined && typeof task[key] !== 'function') {
+                    throw new Error(`[FlowCraft] Invalid '${key}' for ${where} in flow '${flowName}'. Must be a function.`);
+                }
+            });
+            if (next !== undefined && (isBranch || (typeof next !== 'string' && typeof next !== 'function'))) {
+                throw new Error(`[FlowCraft] Invalid 'next' for ${where} in flow '${flowName}'. ${isBranch ? 'Parallel branches cannot route the flow.' : 'Must be a task id or a function.'}`);
+            }
+
+            const taskDefinition = {
+                id: task.id || defaultId,
+                func: task.func,
+                onError: task.onError, // Task specific error handler
+                when: task.when, // Optional predicate deciding whether the task runs
+                next: next, // Optional routing target (task id or function)
+                compensate: task.compensate, // Optional (context, info) => void undoing the task's side effects
+                params: task.params, // Static per-step parameters, passed to the task as `api.params`
+                requires: normalizeContract(task.requires, `'requires' of ${where} in flow '${flowName}'`), // Context keys read by the task
+                provides: normalizeContract(task.provides, `'provides' of ${where} in flow '${flowName}'`), // Context keys written by the task
+                options: { ...task.options },
+                retries: 0 // Initialize retry count for the task definition scope
+            };
+            const taskLabel = `task '${taskDefinition.id}' in flow '${flowName}'`;
+            if (taskDefinition.options.retry !== undefined) {
+                taskDefinition.options.retry = normalizeRetryPolicy(taskDefinition.options.retry, taskLabel);
+            }
+            if (taskDefinition.options.circuitBreaker !== undefined) {
+                taskDefinition.options.circuitBreaker = normalizeCircuitBreaker(taskDefinition.options.circuitBreaker, taskLabel);
+            }
+
+            // --- Parallel Group ---
+            if (Array.isArray(task.parallel)) {
+                if (isBranch) {
+                    throw new Error(`[FlowCraft] Invalid ${where} in flow '${flowName}'. Parallel groups cannot be nested.`);
+                }
+                if (task.parallel.length === 0) {
+                    throw new Error(`[FlowCraft] Parallel group '${taskDefinition.id}' in flow '${flowName}' must have at least one branch.`);
+                }
+                const mode = task.mode || PARALLEL_MODE.ALL;
+                if (!Object.values(PARALLEL_MODE).includes(mode)) {
+                    throw new Error(`[FlowCraft] Invalid mode '${mode}' for parallel group '${taskDefinition.id}' in flow '${flowName}'. Must be one of: ${Object.values(PARALLEL_MODE).join(', ')}.`);
+                }
+                if (task.concurrency !== undefined && !(Number.isInteger(task.concurrency) && task.concurrency > 0)) {
+                    throw new Error(`[FlowCraft] Invalid concurrency for parallel group '${taskDefinition.id}' in flow '${flowName}'. Must be a positive integer.`);
+                }
+                const branches = task.parallel.map((branch, branchIndex) => this._normalizeTask(flowName, branch, branchIndex, true));
+                const branchIds = new Set();
+                branches.forEach(branch => {
+                    if (branchIds.has(branch.id)) {
+                        throw new Error(`[FlowCraft] Duplicate branch id '${branch.id}' in parallel group '${taskDefinition.id}' of flow '${flowName}'.`);
+                    }
+                    branchIds.add(branch.id);
+                });
+                taskDefinition.parallel = branches;
+                taskDefinition.mode = mode;
+                taskDefinition.concurrency = task.concurrency; // undefined: start all branches at once
+                taskDefinition.collectInto = task.collectInto || taskDefinition.id; // Context key receiving branch results
+            }
+
+            // --- Sub-Flow ---
+            if (typeof task.flow === 'string') {
+                ['input', 'output'].forEach(key => {
+                    if (task[key] !== undefined && typeof task[key] !== 'function') {
+                        throw new Error(`[FlowCraft] Invalid '${key}' for sub-flow ${where} in flow '${flowName}'. Must be a function.`);
+                    }
+                });
+                taskDefinition.flow = task.flow; // Name of the flow to run, resolved at run time
+                taskDefinition.input = task.input; // (context, taskInfo) => initial context of the child
+                taskDefinition.output = task.output; // (context, childContext) => void
+            }
+
+            // --- forEach ---
+            if (task.items !== undefined) {
+                const label = `forEach task '${taskDefinition.id}' in flow '${flowName}'`;
+                if (isBranch) {
+                    throw new Error(`[FlowCraft] Invalid ${where} in flow '${flowName}'. forEach tasks cannot be parallel branches.`);
+                }
+                if (task.func !== undefined || task.parallel !== undefined || task.flow !== undefined) {
+                    throw new Error(`[FlowCraft] Invalid ${label}. It runs its 'task' for each item and cannot have 'func', 'parallel' or 'flow'.`);
+                }
+                if (typeof task.items !== 'function' && (typeof task.items !== 'string' || !task.items)) {
+                    throw new Error(`[FlowCraft] Invalid 'items' for ${label}. Must be a function (context, taskInfo) => array or the context key holding the items.`);
+                }
+                if (typeof task.task !== 'function') {
+                    throw new Error(`[FlowCraft] Invalid 'task' for ${label}. Must be a function (item, context, api) => result.`);
+                }
+                ['concurrency', 'batchSize'].forEach(key => {
+                    if (task[key] !== undefined && !(Number.isInteger(task[key]) && task[key] > 0)) {
+                        throw new Error(`[FlowCraft] Invalid '${key}' for ${label}. Must be a positive integer.`);
+                    }
+                });
+                if (task.collectInto !== undefined && (typeof task.collectInto !== 'string' || !task.collectInto)) {
+                    throw new Error(`[FlowCraft] Invalid 'collectInto' for ${label}. Must be a non-empty string.`);
+                }
+                const itemFunc = task.task;
+                const { timeout, ...stepOptions } = taskDefinition.options; // The timeout applies to each item, not to the whole step
+                taskDefinition.items = task.items; // (context, taskInfo) => array, or the context key holding the items
+                taskDefinition.itemTask = { id: taskDefinition.id, func: (context, api) => itemFunc(api.item, context, api), options: taskDefinition.options, params: task.params };
+                taskDefinition.concurrency = task.concurrency || 1; // Items running at the same time
+                taskDefinition.batchSize = task.batchSize || null; // null: all items form one batch
+                taskDefinition.collectInto = task.collectInto || taskDefinition.id; // Context key receiving the item results
+                taskDefinition.options = stepOptions;
+            }
+
+            return taskDefinition;
+        }
+
+        /**
+         * Defines a new task flow. Alternatively pass a single JSON definition
+         * `{ name, version?, description?, tasks, options? }` whose steps reference registered tasks by name (see registerTask()).
+         * @param {string|Object} flowName - A unique name for the flow, or a JSON definition.
+         * @param {Array<Object|Function>} tasks - An array of task definitions or functions.
+         * Task definition: { id: string (optional), func: Function, params?: Object, onError?: Function, when?: Function, next?: string|Function, compensate?: Function, requires?: Array|Object, provides?: Array|Object, options?: { yieldBefore?: boolean, yieldAfter?: boolean, maxRetries?: number, timeout?: number, retry?: Object, circuitBreaker?: string|Object } }
+         * Parallel group: { id: string (optional), parallel: Array<Object|Function>, mode?: PARALLEL_MODE, concurrency?: number, collectInto?: string, onError?: Function }
+         * Sub-flow: { id: string (optional), flow: string, input?: (context, taskInfo) => Object, output?: (context, childContext) => void, onError?: Function }
+         * forEach: { id: string (optional), items: (context, taskInfo) => Array | string, task: (item, context, api) => result, concurrency?: number, batchSize?: number, collectInto?: string, onError?: Function }
+         * Task function signature: async (context, { signal, taskInfo, abortSignal, params }) => result | SIGNAL_TYPE.PAUSE
+         * `when(context, taskInfo)` skips the task when it returns a falsy value. `next` (alias `goto`) is the id of the task
+         * to run after this one succeeds, or a function `(context, result) => id` choosing it at run time.
+         * @param {Object} [options={}] - Flow configuration options.
+         * @param {number} [options.logLevel] - Logging level (NONE, ERROR, INFO, DEBUG). Defaults to the runner's logLevel.
+         * @param {Function} [options.logger] - Custom logger object {error, warn, info, debug}. Defaults to the runner's logger.
+         * @param {Function} [options.onError] - Global error handler for the flow. Signature: (error, context, taskInfo) => ERROR_ACTION | fallbackValue
+         * @param {boolean} [options.yieldBeforeTask=false] - Yield to main thread before each task.
+         * @param {boolean} [options.yieldAfterTask=false] - Yield to main thread after each task.
+         * @param {number} [options.defaultMaxRetries=0] - Default max retries for tasks if onError returns RETRY.
+         * @param {Object} [options.retry] - Default retry policy for tasks: { maxRetries, backoff, baseDelay, maxDelay, jitter, retryOn }
+         * @param {string|Object} [options.circuitBreaker] - Default shared circuit breaker for tasks: name or { name, failureThreshold, resetTimeout }
+         * @param {number} [options.flowTimeout] - Max milliseconds the flow may spend running (paused time excluded).
+         * @param {string} [options.version='1'] - Version of the definition, stored in snapshots and checked by restore().
+         * @param {boolean} [options.autoPersist=false] - Save a snapshot to the storage adapter after each task and on pause.
+         * @param {Object} [options.storage] - Storage adapter for autoPersist. Defaults to the adapter set with setStorage().
+         * @param {Function} [options.migrate] - Converts an incompatible snapshot: (snapshot, { version, taskIds }) => snapshot
+         * @param {Function} [options.onCompensationError] - Decides what to do when a compensation throws: (error, context, info) => ERROR_ACTION. Defaults to SKIP.
+         * @param {Object} [options.compensationRetry] - Retry policy applied to failing compensations before onCompensationError is asked.
+         * @param {number} [options.traceLimit=1000] - Task attempts kept in each execution's trace (0 disables tracing).
+         * @param {Object} [options.concurrency] - What run() does when instances already exist: { max = 1, strategy = 'reject', key: ctx => string }
+         * @param {Array|Object} [options.requires] - Keys the initial context must provide, checked by run() (same forms as a task's `requires`).
+         */
+        define(flowName, tasks, options = {}) {
+            if (flowName !== null && typeof flowName === 'object') {
+                this._defineFromJson(flowName);
+                return;
+            }
+            if (this._flows[flowName]) {
+                const logLevel = options.logLevel !== undefined ? options.logLevel : this._logLevel;
+                this._log(logLevel, (options.logger || this._logger).warn, `[FlowCraft] Warning: Redefining flow '${flowName}'.`);
+            }
+            if (!Array.isArray(tasks) || tasks.length === 0) {
+                throw new Error(`[FlowCraft] Flow '${flowName}' must have at least one task defined.`);
+            }
+
+            const flowDefinition = {
+                tasks: tasks.map((task, index) => this._normalizeTask(flowName, task, index)),
+                options: {
+                    logLevel: options.logLevel !== undefined ? options.logLevel : this._logLevel,
+                    logger: options.logger || this._logger,
+                    onError: options.onError, // Flow level error handler
+                    yieldBeforeTask: options.yieldBeforeTask || false,
+                    yieldAfterTask: options.yieldAfterTask || false,
+                    defaultMaxRetries: options.defaultMaxRetries || 0,
+                    version: options.version !== undefined ? options.version : '1', // Checked when restoring snapshots
+                    autoPersist: options.autoPersist || false,
+                    traceLimit: DEFAULT_TRACE_LIMIT,
+                    ...options // Allow other custom options
+                }
+            };
+            flowDefinition.options.retry = normalizeRetryPolicy(options.retry, `flow '${flowName}'`);
+            flowDefinition.options.circuitBreaker = normalizeCircuitBreaker(options.circuitBreaker, `flow '${flowName}'`);
+            flowDefinition.options.compensationRetry = normalizeRetryPolicy(options.compensationRetry, `compensations of flow '${flowName}'`);
+            flowDefinition.options.concurrency = normalizeConcurrency(options.concurrency, flowName);
+            flowDefinition.options.requires = normalizeContract(options.requires, `'requires' option of flow '${flowName}'`);
+
+            // --- Validate Routing ---
+            const indexById = {};
+            flowDefinition.tasks.forEach((task, index) => {
+                if (indexById[task.id] !== undefined) {
+                    throw new Error(`[FlowCraft] Duplicate task id '${task.id}' in flow '${flowName}'.`);
+                }
+                indexById[task.id] = index;
+            });
+            flowDefinition.tasks.forEach(task => {
+                if (typeof task.next === 'string' && indexById[task.next] === undefined) {
+                    throw new Error(`[FlowCraft] Task '${task.id}' in flow '${flowName}' references unknown target task '${task.next}'.`);
+                }
+            });
+            const cycle = findUnconditionalCycle(flowDefinition.tasks, indexById);
+            if (cycle) {
+                throw new Error(`[FlowCraft] Unconditional cycle detected in flow '${flowName}': ${cycle.join(' -> ')}.`);
+            }
+
+            // --- Validate Context Contracts ---
+            const contracts = contractOrderProblems(flowDefinition.tasks, flowDefinition.options.requires);
+            if (contracts.problems.length > 0) {
+                throw new DefinitionError(`[FlowCraft] Invalid requires/provides in flow '${flowName}'`, { flowName, problems: contracts.problems });
+            }
+            contracts.warnings.forEach(warning => this._log(flowDefinition.options.logLevel, flowDefinition.options.logger.warn, `[FlowCraft][${flowName}] ${warning}`));
+
+            flowDefinition.indexById = indexById;
+            flowDefinition.source = { tasks: tasks.slice(), options }; // As given, for exportDefinition()
+            flowDefinition.definition = null; // Set when defined from JSON
+
+            this._flows[flowName] = flowDefinition;
+            this._log(flowDefinition.options.logLevel, flowDefinition.options.logger.info, `[FlowCraft] Defined flow '${flowName}' with ${flowDefinition.tasks.length} tasks.`);
+        }
+
+        /**
+         * Runs a defined flow.
+         * @param {string} flowName - The name of the flow to run.
+         * @param {Object} [initialContext={}] - An initial context object to be passed to the first task.
+         * @param {Object} [runOptions={}]
+         * @param {boolean|Object} [runOptions.debug] - Start in debug mode, see FlowInstance.debug().
+         * @returns {FlowInstance} - A controller object for the running flow instance. With the 'dedupe'
+         *   concurrency strategy this may be an existing instance; with 'queue' the instance may wait before it starts.
+         * @throws {ConcurrencyLimitError} With the 'reject' concurrency strategy, when the limit is reached.
+         */
+        run(flowName, initialContext = {}, runOptions = {}) {
+            const instance = this._run(flowName, initialContext);
+            if (runOptions.debug !== undefined) instance.debug(runOptions.debug); // The first task starts on a later tick
+            return instance;
+        }
+
+        _run(flowName, initialContext) {
+            const concurrency = this._flows[flowName] && this._flows[flowName].options.concurrency;
+            if (!concurrency) {
+                return this._startExecution(flowName, initialContext, null).flowInstance;
+            }
+
+            const key = concurrency.key ? String(concurrency.key(initialContext)) : '';
+            const existing = this._instancesWithKey(flowName, key);
+            const running = existing.filter(executionContext => executionContext.status !== STATUS.IDLE);
+            const { logLevel, logger } = this._flows[flowName].options;
+
+            switch (concurrency.strategy) {
+                case CONCURRENCY_STRATEGY.DEDUPE:
+                    if (existing.length >= concurrency.max) {
+                        const latest = existing[existing.length - 1];
+                        this._log(logLevel, logger.info, `[FlowCraft] Flow '${flowName}' already running${key ? ` for key '${key}'` : ''}, returning execution '${latest.id}'.`);
+                        return latest.flowInstance;
+                    }
+                    break;
+                case CONCURRENCY_STRATEGY.REJECT:
+                    if (existing.length >= concurrency.max) {
+                        throw new ConcurrencyLimitError(`[FlowCraft] Flow '${flowName}' already runs ${existing.length} instance(s)${key ? ` for key '${key}'` : ''} (max: ${concurrency.max}).`, {
+                            flowName, key, max: concurrency.max
+                        });
+                    }
+                    break;
+                case CONCURRENCY_STRATEGY.REPLACE:
+                    existing.slice(0, Math.max(0, running.length - concurrency.max + 1))
+                        .forEach(executionContext => executionContext.flowInstance.abort(`Replaced by a new run of '${flowName}'`));
+                    break;
+                case CONCURRENCY_STRATEGY.QUEUE:
+                    if (running.length >= concurrency.max || existing.length > running.length) {
+                        const executionContext = this._createExecution(flowName, initialContext, null, null);
+                        executionContext.concurrencyKey = key;
+                        this._queue.push(executionContext);
+                        this._log(logLevel, logger.info, `[FlowCraft] Queued flow '${flowName}' (Execution ID: ${executionContext.id}) behind ${running.length} running instance(s).`);
+                        return executionContext.flowInstance;
+                    }
+                    break;
+            }
+
+            const executionContext = this._startExecution(flowName, initialContext, null);
+            executionContext.concurrencyKey = key;
+            return executionContext.flowInstance;
+        }
+
+        // --- Triggers ---
+
+        /**
+         * Runs a flow whenever a source fires, instead of calling run() from event handlers or timers.
+         * @param {string} flowName - The flow to run. It may be defined after the trigger.
+         * @param {Object} source - Exactly one of:
+         *   { on: EventTarget, event } - on every dispatch of the event (payload: the Event);
+         *   { interval: ms } - every `ms` milliseconds (payload: { count, timestamp });
+         *   { afterFlow: flowName, status? } - when an instance of that flow ends with `status` (STATUS.COMPLETED by
+         *     default, ERROR or ABORTED, or an array of them; payload: the 'completed', 'failed' or 'aborted' event);
+         *   { promise } - once, when the promise resolves (payload: the value).
+         *   Options: `debounce` (ms; run once the source stayed quiet that long, with the last payload),
+         *   `throttle` (ms; run at most once per period, ignoring firings in between) and
+         *   `skipIfRunning` (ignore firings while an instance of the flow is active).
+         * @param {Function} [mapContext] - (payload) => initial context of the run, or null to ignore the firing.
+         *   Defaults to { event } for events, {} for intervals, the ended flow's context for afterFlow
+         *   ({ error } if it failed or was aborted), and the value for promises ({ value } unless it is a plain object).
+         * @returns {Trigger} An enabled handle: { flowName, enabled, runs, lastInstance, enable(), disable() }.
+         *   Errors starting a run (e.g. ConcurrencyLimitError) are logged.
+         */
+        trigger(flowName, source, mapContext) {
+            if (typeof flowName !== 'string' || !flowName) {
+                throw new Error('[FlowCraft] trigger() requires a flow name.');
+            }
+            if (mapContext !== undefined && mapContext !== null && typeof mapContext !== 'function') {
+                throw new Error(`[FlowCraft] Invalid mapContext for the trigger of flow '${flowName}'. Must be a function.`);
+            }
+            const normalized = normalizeTriggerSource(source, `the trigger of flow '${flowName}'`);
+            return new Trigger(this, flowName, normalized, mapContext || null).enable();
+        }
+
+        /**
+         * Calls `callback(payload)` whenever a normalized trigger source fires, and `onRejected(error)` if its promise rejects.
+         * @returns {Function} Stops listening.
+         */
+        _listenTo(source, callback, onRejected) {
+            switch (source.kind) {
+                case 'event':
+                    source.on.addEventListener(source.event, callback);
+                    return () => source.on.removeEventListener(source.event, callback);
+                case 'interval': {
+                    let count = 0;
+                    const tick = () => {
+                        timer = this._clock.setTimeout(tick, source.interval);
+                        callback({ count: ++count, timestamp: this._clock.now() });
+                    };
+                    let timer = this._clock.setTimeout(tick, source.interval);
+                    return () => this._clock.clearTimeout(timer);
+                }
+                case 'afterFlow': {
+                    const unsubscribes = source.status.map(status => this.on(AFTER_FLOW_EVENTS[status], payload => {
+                        // On a later tick, once the instance ended and no longer counts as active
+                        if (payload.flowName === source.afterFlow) this._clock.setTimeout(() => callback(payload), 0);
+                    }));
+                    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+                }
+                default: {
+                    let listening = true;
+                    source.promise.then(value => {
+                        if (listening) callback(value);
+                    }, error => {
+                        if (listening) onRejected(error);
+                    });
+                    return () => { listening = false; };
+                }
+            }
+        }
+
+        /** Resumes an execution paused by a WAIT_FOR signal once the signal's source fires. */
+        _waitFor(executionContext, source) {
+            const { flowName, logger, logLevel } = executionContext;
+            const fired = payload => {
+                let resumeData;
+                try {
+                    resumeData = source.map ? source.map(payload) : triggerContext(source, payload);
+                } catch (error) {
+                    this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in the 'map' function of a waitFor signal, still waiting:`, error);
+                    return;
+                }
+                if (resumeData === null) return; // Not the payload the flow waits for
+                this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Source of waitFor fired, resuming.`);
+                executionContext.flowInstance.resume(resumeData); // A paused sub-flow resumes through its paused ancestors
+            };
+            executionContext.waiter = this._listenTo(source, fired, error => {
+                this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Promise of a waitFor signal rejected, the flow stays paused:`, error);
+            });
+        }
+
+        /** Stops listening to the source of a WAIT_FOR signal, once the execution resumed or ended. */
+        _stopWaiting(executionContext) {
+            if (!executionContext.waiter) return;
+            const detach = executionContext.waiter;
+            executionContext.waiter = null;
+            detach();
+        }
+
+        // --- Internal Execution Logic ---
+
+        /**
+         * Creates the execution context for a new run of a flow and schedules its execution.
+         * @param {Object|null} parent - The execution context of the parent flow when started as a sub-flow.
+         * @returns {Object} The execution context.
+         */
+        _startExecution(flowName, initialContext, parent) {
+            const executionContext = this._createExecution(flowName, initialContext, parent, null);
+            this._launchExecution(executionContext);
+            return executionContext; // Return immediately, the flow runs asynchronously
+        }
+
+        /** Marks a created (or queued) execution as running and schedules its first task. */
+        _launchExecution(executionContext) {
+            const { flowName, parent } = executionContext;
+            this._log(executionContext.logLevel, executionContext.logger.info, `[FlowCraft] Starting flow '${flowName}' (Execution ID: ${executionContext.id})${parent ? ` as sub-flow of '${parent.flowName}' (Execution ID: ${parent.id})` : ''}`);
+            executionContext.status = STATUS.RUNNING;
+            executionContext.runningSince = this._clock.now();
+            executionContext.startedAt = executionContext.runningSince;
+
+            // Start execution asynchronously (after the caller had a chance to subscribe to events)
+            this._clock.setTimeout(() => {
+                if (executionContext.status !== STATUS.RUNNING) return; // Aborted before it started
+                this._emit(executionContext, EVENT.FLOW_START);
+                this._executeFlow(executionContext);
+            }, 0);
+        }
+
+        /** Active root executions of a flow started by run() with the given concurrency key, including queued ones. */
+        _instancesWithKey(flowName, key) {
+            return [...this._activeInstances.values()]
+                .filter(executionContext => executionContext.flowName === flowName && executionContext.concurrencyKey === key);
+        }
+
+        /** Moves a finished execution from the active set into the bounded history and starts queued runs it was blocking. */
+        _releaseExecution(executionContext) {
+            executionContext.endedAt = this._clock.now();
+            this._stopWaiting(executionContext);
+            this._activeInstances.delete(executionContext.id);
+            this._queue = this._queue.filter(queued => queued !== executionContext);
+            this._history.push(executionContext);
+            this._history.splice(0, Math.max(0, this._history.length - this._historyLimit));
+            this._unpersist(executionContext);
+
+            const concurrency = this._flows[executionContext.flowName] && this._flows[executionContext.flowName].options.concurrency;
+            this._queue = this._queue.filter(queued => {
+                if (queued.flowName !== executionContext.flowName) return true;
+                if (concurrency && this._instancesWithKey(queued.flowName, queued.concurrencyKey)
+                    .filter(active => active.status !== STATUS.IDLE).length >= concurrency.max) return true;
+                this._launchExecution(queued);
+                return false;
+            });
+        }
+
+        /**
+         * Creates and tracks the execution context (and its FlowInstance) for a run of a flow, in IDLE status.
+         * @param {string|null} executionId - Reuse an existing id (when restoring a snapshot) or null to generate one.
+         */
+        _createExecution(flowName, initialContext, parent, executionId) {
+            const flowDefinition = this._flows[flowName];
+            if (!flowDefinition) {
+                throw new Error(`[FlowCraft] Flow '${flowName}' is not defined.`);
+            }
+
+            const flowRequires = flowDefinition.options.requires;
+            if (flowRequires && !executionId) { // New runs only, restored ones already started
+                const violations = contractViolations(flowRequires, initialContext);
+                if (violations.length > 0) {
+                    throw new ContractError(`[FlowCraft] Initial context of flow '${flowName}' doesn't satisfy its 'requires'`, { flowName, taskId: null, kind: 'requires', violations });
+                }
+            }
+
+            if (!executionId) {
+                this._executionCounter++;
+                // The time component keeps ids unique across page reloads, so persisted snapshots are never overwritten
+                executionId = `${this.namespace ? `${this.namespace}/` : ''}${flowName}_${this._executionCounter}_${this._clock.now().toString(36)}`;
+            }
+
+            // Create execution context for this specific run
+            const executionContext = {
+                id: executionId,
+                flowName: flowName,
+                tasks: flowDefinition.tasks.map(t => ({ ...t, retries: 0, attempts: [] })), // Clone tasks with execution-specific retry counts and failed attempts
+                indexById: flowDefinition.indexById, // Task id -> index, for routing
+                options: flowDefinition.options,
+                logLevel: flowDefinition.options.logLevel,
+                logger: flowDefinition.options.logger,
+                context: { ...initialContext }, // Clone initial context
+                currentTaskIndex: 0,
+                status: STATUS.IDLE,
+                lastError: null,
+                signalData: null, // Data passed with a signal (e.g., PAUSE)
+                groupStates: {}, // Settled branches of parallel groups and items of forEach tasks in flight { taskId: { outcomes, retries, attempts, order | items } }
+                branches: [], // Routing decisions taken so far: { from, to, via }
+                compensations: [], // Completed tasks with a compensate function, in completion order { taskId, groupId, result }
+                compensation: null, // Progress of the rollback once the flow failed or was aborted { trigger, steps }
+                pauseRequested: false, // Flag for external pause request
+                parent: parent, // Execution context of the parent flow, if this is a sub-flow
+                children: {}, // Sub-flow executions started by this flow { taskKey: executionContext }
+                concurrencyKey: null, // Key under which run() counted this execution for the flow's concurrency option
+                resumeData: null, // Data of the last resume(), forwarded to paused sub-flows
+                onPause: null, // Set by a parent flow waiting on this sub-flow
+                interrupted: false, // The parent's sub-flow task returned when this sub-flow paused, and re-attaches on resume
+                waiter: null, // Stops listening to the source of a WAIT_FOR signal the flow is paused on
+                handledErrors: new Set(), // Errors of the current task attempt whose onError handlers already ran (e.g. in a failed parallel branch)
+                abortController: createAbortController(), // Aborted by abort(); parent of every task's AbortSignal
+                trace: [], // Task attempts, see FlowInstance.getTrace()
+                contextChanges: [], // Context keys changed by each task attempt, see FlowInstance.getState()
+                debug: null, // Debugger state, see FlowInstance.debug()
+                lastTaskIndex: null, // Index of the task that ran last, for retryTask()
+                startedAt: null, // Timestamp of the first start
+                endedAt: null, // Timestamp the execution finished
+                elapsedTime: 0, // Milliseconds spent running before the last pause, for flowTimeout
+                runningSince: null, // Timestamp of the last start/resume while running
+                flowInstance: null // Will be set below
+            };
+
+            const instance = new FlowInstance(this, flowName, executionContext);
+            executionContext.flowInstance = instance; // Give context access to its instance
+            this._activeInstances.set(executionId, executionContext); // Track active instance
+
+            return executionContext;
+        }
+
+        /** Moves a running flow to PAUSED and notifies a parent flow waiting on it. */
+        _pauseExecution(executionContext) {
+            executionContext.status = STATUS.PAUSED;
+            executionContext.elapsedTime += this._clock.now() - executionContext.runningSince; // Paused time doesn't count towards flowTimeout
+            executionContext.runningSince = null;
+            executionContext.pauseRequested = false; // Reset request flag
+            if (typeof executionContext.onPause === 'function') executionContext.onPause();
+            this._emit(executionContext, EVENT.PAUSED, { taskIndex: executionContext.currentTaskIndex, signalData: executionContext.signalData });
+            this._persist(executionContext);
+        }
+
+        // --- Persistence ---
+
+        /** Builds a serializable snapshot of an execution, including its active sub-flows. */
+        _createSnapshot(executionContext) {
+            const { tasks, children } = executionContext;
+            return toSerializable({
+                formatVersion: SNAPSHOT_FORMAT_VERSION,
+                namespace: this.namespace,
+                executionId: executionContext.id,
+                flowName: executionContext.flowName,
+                version: executionContext.options.version,
+                taskIds: tasks.map(task => task.id),
+                status: executionContext.status,
+                currentTaskIndex: executionContext.currentTaskIndex,
+                retries: tasks.reduce((retries, task) => {
+                    if (task.retries > 0) retries[task.id] = task.retries;
+                    return retries;
+                }, {}),
+                context: executionContext.context,
+                signalData: executionContext.signalData,
+                branches: executionContext.branches,
+                compensations: executionContext.compensations,
+                groupStates: executionContext.groupStates,
+                elapsedTime: executionContext.elapsedTime + (executionContext.runningSince === null ? 0 : this._clock.now() - executionContext.runningSince),
+                children: Object.keys(children).reduce((snapshots, key) => {
+                    const child = children[key];
+                    if (child.status === STATUS.RUNNING || child.status === STATUS.PAUSED) snapshots[key] = this._createSnapshot(child);
+                    return snapshots;
+                }, {}),
+                savedAt: this._clock.now()
+            });
+        }
+
+        /** Rebuilds a paused execution (and its sub-flows) from a snapshot, migrating it if the flow definition changed. */
+        _restoreExecution(snapshot, parent) {
+            const flowDefinition = this._flows[snapshot.flowName];
+            if (!flowDefinition) {
+                throw new Error(`[FlowCraft] Cannot restore flow '${snapshot.flowName}': flow is not defined.`);
+            }
+            if (snapshot.status !== STATUS.RUNNING && snapshot.status !== STATUS.PAUSED && snapshot.status !== STATUS.IDLE) {
+                throw new Error(`[FlowCraft] Cannot restore flow '${snapshot.flowName}': snapshot is already finished (status: ${snapshot.status}).`);
+            }
+            if (this._activeInstances.has(snapshot.executionId)) {
+                throw new Error(`[FlowCraft] Cannot restore flow '${snapshot.flowName}': execution '${snapshot.executionId}' is already active.`);
+            }
+
+            const { options, tasks } = flowDefinition;
+            const taskIds = tasks.map(task => task.id);
+            const isCompatible = record => record.version === options.version &&
+                Array.isArray(record.taskIds) && record.taskIds.join('\n') === taskIds.join('\n');
+
+            let record = snapshot;
+            if (!isCompatible(record)) {
+                if (typeof options.migrate !== 'function') {
+                    throw new Error(`[FlowCraft] Cannot restore flow '${snapshot.flowName}': snapshot was taken with version '${snapshot.version}' (tasks: ${(snapshot.taskIds || []).join(', ')}) but the flow is now version '${options.version}' (tasks: ${taskIds.join(', ')}). Provide a 'migrate' option to convert old snapshots.`);
+                }
+                record = options.migrate(toSerializable(snapshot), { version: options.version, taskIds });
+                if (!record || !isCompatible(record)) {
+                    throw new Error(`[FlowCraft] Cannot restore flow '${snapshot.flowName}': migrate() must return a snapshot with version '${options.version}' and tasks: ${taskIds.join(', ')}.`);
+                }
+            }
+            if (!(record.currentTaskIndex >= 0 && record.currentTaskIndex <= tasks.length)) {
+                throw new Error(`[FlowCraft] Cannot restore flow '${snapshot.flowName}': invalid currentTaskIndex ${record.currentTaskIndex}.`);
+            }
+
+            const executionContext = this._createExecution(record.flowName, record.context || {}, parent, record.executionId);
+            executionContext.currentTaskIndex = record.currentTaskIndex;
+            executionContext.tasks.forEach(task => { task.retries = (record.retries && record.retries[task.id]) || 0; });
+            executionContext.signalData = record.signalData === undefined ? null : record.signalData;
+            executionContext.branches = record.branches || [];
+            executionContext.compensations = record.compensations || [];
+            executionContext.groupStates = record.groupStates || {};
+            executionContext.elapsedTime = record.elapsedTime || 0;
+            executionContext.status = STATUS.PAUSED; // A flow that was running when saved continues on resume()
+            Object.keys(record.children || {}).forEach(key => {
+                executionContext.children[key] = this._restoreExecution(record.children[key], executionContext);
+            });
+            // Wait again for the source of a WAIT_FOR signal (a parent paused on a waiting sub-flow only mirrors its signalData)
+            const waitFor = executionContext.signalData && executionContext.signalData.waitFor;
+            if (waitFor && Object.keys(executionContext.children).length === 0) {
+                let source = null;
+                try {
+                    source = restorableTriggerSource(waitFor);
+                } catch (error) {
+                    this._log(executionContext.logLevel, executionContext.logger.warn, `[FlowCraft] Cannot wait again for the waitFor source of restored flow '${record.flowName}', resume it manually:`, error);
+                }
+                if (source) this._waitFor(executionContext, source);
+            }
+
+            this._log(executionContext.logLevel, executionContext.logger.info, `[FlowCraft] Restored flow '${record.flowName}' (Execution ID: ${record.executionId}) at task ${record.currentTaskIndex + 1}/${tasks.length}.`);
+            return executionContext;
+        }
+
+        /** The flow whose snapshot contains this execution: sub-flows are saved inside their root flow. */
+        _rootExecution(executionContext) {
+            let root = executionContext;
+            while (root.parent) root = root.parent;
+            return root;
+        }
+
+        /** Saves the root execution to its storage if the root flow has `autoPersist` enabled. Never throws. */
+        async _persist(executionContext) {
+            const root = this._rootExecution(executionContext);
+            if (!root.options.autoPersist) return;
+            const storage = root.options.storage || this._storage;
+            try {
+                await storage.save(root.id, this._createSnapshot(root));
+                this._log(root.logLevel, root.logger.debug, `[FlowCraft][${root.flowName}] Persisted snapshot '${root.id}'.`);
+            } catch (error) {
+                this._log(root.logLevel, root.logger.error, `[FlowCraft][${root.flowName}] Failed to persist snapshot '${root.id}':`, error);
+            }
+        }
+
+        /** Removes the persisted snapshot of a finished root execution. Never throws. */
+        async _unpersist(executionContext) {
+            if (executionContext.parent || !executionContext.options.autoPersist) return;
+            const storage = executionContext.options.storage || this._storage;
+            try {
+                await storage.remove(executionContext.id);
+            } catch (error) {
+                this._log(executionContext.logLevel, executionContext.logger.error, `[FlowCraft][${executionContext.flowName}] Failed to remove snapshot '${executionContext.id}':`, error);
+            }
+        }
+
+        /**
+         * Runs the work of a single task definition and returns its result.
+         * Parallel groups, sub-flows and forEach tasks return INTERRUPTED when they stopped early because of pause() or abort().
+         */
+        _invokeTask(executionContext, taskDefinition, api) {
+            if (taskDefinition.parallel) {
+                return this._runParallelGroup(executionContext, taskDefinition, api.taskInfo, api.abortSignal);
+            }
+            if (taskDefinition.flow) {
+                return this._runSubFlow(executionContext, taskDefinition, api.taskInfo, api.abortSignal);
+            }
+            if (taskDefinition.items !== undefined) {
+                return this._runForEach(executionContext, taskDefinition, api.taskInfo, api.abortSignal);
+            }
+            if (this._middleware.length === 0) {
+                return taskDefinition.func(executionContext.context, api);
+            }
+            const invocation = {
+                flowName: executionContext.flowName,
+                executionId: executionContext.id,
+                taskId: api.taskInfo.id,
+                taskInfo: api.taskInfo,
+                context: executionContext.context,
+                api
+            };
+            const dispatch = index => (index < this._middleware.length
+                ? Promise.resolve(this._middleware[index](invocation, () => dispatch(index + 1)))
+                : Promise.resolve(taskDefinition.func(invocation.context, invocation.api)));
+            return dispatch(0);
+        }
+
+        /**
+         * Invokes a task attempt with its own AbortSignal (passed as `api.abortSignal`), which fires when `parentSignal`
+         * fires (abort() or an enclosing group) or when the time limit elapses. The limit is the task's `timeout` option,
+         * or `flowTimeLeft` if that is shorter. Rejects as soon as the signal fires, even if the task ignores it.
+         * @param {number|null} flowTimeLeft - Milliseconds left before the flowTimeout elapses, or null.
+         */
+        async _invokeWithSignal(executionContext, taskDefinition, api, parentSignal, flowTimeLeft) {
+            const controller = createAbortController();
+            const taskTimeout = taskDefinition.options?.timeout > 0 ? taskDefinition.options.timeout : null;
+            const useFlowLimit = flowTimeLeft !== null && (taskTimeout === null || flowTimeLeft < taskTimeout);
+            const limit = useFlowLimit ? Math.max(flowTimeLeft, 0) : taskTimeout;
+            const timeoutError = () => new TimeoutError(useFlowLimit
+                ? `Flow '${executionContext.flowName}' exceeded its timeout of ${executionContext.options.flowTimeout}ms during task '${api.taskInfo.id}'.`
+                : `Task '${api.taskInfo.id}' exceeded its timeout of ${taskTimeout}ms.`,
+                { scope: useFlowLimit ? 'flow' : 'task', timeout: useFlowLimit ? executionContext.options.flowTimeout : taskTimeout, taskId: api.taskInfo.id });
+
+            const onParentAbort = () => abortWithReason(controller, parentSignal.reason);
+            let timer = null;
+            if (parentSignal.aborted) onParentAbort();
+            else parentSignal.addEventListener('abort', onParentAbort, { once: true });
+            if (limit !== null && !controller.signal.aborted) {
+                if (limit === 0) abortWithReason(controller, timeoutError());
+                else timer = this._clock.setTimeout(() => abortWithReason(controller, timeoutError()), limit);
+            }
+
+            // Shared circuit breakers only guard plain tasks; groups and sub-flows are guarded through their own tasks
+            const breakerConfig = taskDefinition.func ? (taskDefinition.options?.circuitBreaker || executionContext.options.circuitBreaker) : null;
+            const breaker = breakerConfig ? this._circuitBreakerFor(breakerConfig) : null;
+            let trial = false;
+
+            try {
+                if (controller.signal.aborted) throw controller.signal.reason; // Don't start a task that is already cancelled
+                if (breaker) trial = breaker.acquire();
+                const result = await new Promise((resolve, reject) => {
+                    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+                    Promise.resolve()
+                        .then(() => this._invokeTask(executionContext, taskDefinition, { ...api, abortSignal: controller.signal, params: taskDefinition.params || {} }))
+                        .then(resolve, reject);
+                });
+                if (breaker) breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                // Cancellation by abort() or a settled group says nothing about the health of the endpoint
+                const cancelled = controller.signal.aborted && !(controller.signal.reason instanceof TimeoutError);
+                if (breaker && !cancelled && !(error instanceof CircuitOpenError)) {
+                    breaker.recordFailure();
+                    if (breaker.state === CIRCUIT_STATE.OPEN) {
+                        this._log(executionContext.logLevel, executionContext.logger.warn, `[FlowCraft][${executionContext.flowName}] Circuit '${breaker.name}' opened after ${breaker.failures} failures.`);
+                    }
+                }
+                if (breaker && cancelled && trial) breaker.releaseTrial();
+                throw error;
+            } finally {
+                this._clock.clearTimeout(timer);
+                parentSignal.removeEventListener('abort', onParentAbort);
+            }
+        }
+
+        /** Milliseconds the flow has spent running so far (paused time excluded). */
+        _runningTime(executionContext) {
+            return executionContext.elapsedTime + (executionContext.runningSince === null ? 0 : this._clock.now() - executionContext.runningSince);
+        }
+
+        /** Milliseconds the flow may still run before its flowTimeout elapses, or null without flowTimeout. */
+        _flowTimeLeft(executionContext) {
+            const { flowTimeout } = executionContext.options;
+            if (!(flowTimeout > 0)) return null;
+            return flowTimeout - this._runningTime(executionContext);
+        }
+
+        /** Ends a flow with STATUS.ERROR, rejecting its result with a FlowError wrapping the task error. */
+        _failExecution(executionContext, error, taskId) {
+            const { flowName, logger, logLevel } = executionContext;
+            const reason = failureReasonOf(error);
+            this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Aborting flow due to ${reason === FAILURE_REASON.TIMEOUT ? 'timeout' : 'error'} in task '${taskId}'.`);
+            executionContext.status = STATUS.ERROR;
+            const flowError = new FlowError(`Flow '${flowName}' failed in task '${taskId}': ${error && error.message ? error.message : error}`, {
+                reason, cause: error, flowName, executionId: executionContext.id, taskId
+            });
+            this._emit(executionContext, EVENT.FAILED, { taskId, error: flowError, duration: this._runningTime(executionContext) });
+            this._settleFailure(executionContext, flowError);
+        }
+
+        // --- Compensation ---
+
+        /** Rejects the result of a failed or aborted flow with `flowError`, after running compensations of its completed tasks. */
+        _settleFailure(executionContext, flowError) {
+            const release = () => {
+                flowError.compensation = executionContext.compensation;
+                if (executionContext.flowInstance) executionContext.flowInstance._rejectPromise(flowError);
+                this._releaseExecution(executionContext);
+            };
+            if (executionContext.compensations.length === 0) {
+                release();
+                return;
+            }
+            this._compensate(executionContext, flowError).then(release);
+        }
+
+        /** Finds the task or parallel branch definition a compensation entry refers to. Throws if there is none. */
+        _compensationTarget(executionContext, entry) {
+            const task = executionContext.tasks[executionContext.indexById[entry.groupId === null ? entry.taskId : entry.groupId]];
+            const definition = entry.groupId === null ? task : task && task.parallel && task.parallel.find(branch => branch.id === entry.taskId);
+            if (!definition || typeof definition.compensate !== 'function') {
+                const where = entry.groupId === null ? '' : ` of group '${entry.groupId}'`;
+                throw new Error(`[FlowCraft] Cannot compensate task '${entry.taskId}'${where} in flow '${executionContext.flowName}': no such task with a compensate function.`);
+            }
+            return definition;
+        }
+
+        /**
+         * Runs the compensate functions of completed tasks in reverse completion order and ends the flow with
+         * COMPENSATED or COMPENSATION_FAILED. Failing compensations follow the compensationRetry policy, then
+         * onCompensationError (RETRY, SKIP to continue with the next one, ABORT to stop compensating). Never rejects.
+         */
+        async _compensate(executionContext, flowError) {
+            const { flowName, options, logger, logLevel } = executionContext;
+            const policy = options.compensationRetry;
+            const compensation = { trigger: executionContext.status, steps: [] };
+            executionContext.compensation = compensation;
+            executionContext.status = STATUS.COMPENSATING;
+            this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Compensating ${executionContext.compensations.length} completed task(s)...`);
+
+            let stopped = false;
+            for (const entry of [...executionContext.compensations].reverse()) {
+                const step = { taskId: entry.taskId, groupId: entry.groupId, status: 'skipped', attempts: 0, error: null };
+                compensation.steps.push(step);
+                if (stopped) continue; // A previous compensation failed with ABORT
+                let definition = null;
+                try {
+                    definition = this._compensationTarget(executionContext, entry);
+                } catch (error) {
+                    this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error compensating task '${entry.taskId}':`, error);
+                    step.status = 'failed'; // E.g. restored from a snapshot that doesn't match the flow's tasks
+                    step.error = error;
+                }
+
+                for (let retries = 0; definition; retries++) {
+                    const info = {
+                        id: entry.taskId,
+                        groupId: entry.groupId,
+                        result: entry.result, // What the task returned when it completed
+                        error: flowError, // Why the flow is being compensated
+                        retries,
+                        maxRetries: policy?.maxRetries ?? options.defaultMaxRetries,
+                        nextDelay: policy ? retryDelay(policy, retries + 1) : 0
+                    };
+                    step.attempts = retries + 1;
+                    try {
+                        this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Compensating task '${entry.taskId}'`);
+                        await definition.compensate(executionContext.context, info);
+                        step.status = 'compensated';
+                        step.error = null;
+                        break;
+                    } catch (error) {
+                        this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error compensating task '${entry.taskId}':`, error);
+                        step.error = error;
+                        let action = ERROR_ACTION.SKIP; // Default: keep rolling back the other tasks
+                        let retry = false;
+                        if (policy && retries < info.maxRetries) {
+                            try {
+                                retry = await policy.retryOn(error, info);
+                            } catch (predicateError) {
+                                this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in retryOn of compensation '${entry.taskId}':`, predicateError);
+                            }
+                        }
+                        if (retry) {
+                            action = ERROR_ACTION.RETRY;
+                        } else if (typeof options.onCompensationError === 'function') {
+                            try {
+                                action = await options.onCompensationError(error, executionContext.context, info);
+                            } catch (handlerError) {
+                                this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in onCompensationError handler:`, handlerError);
+                                action = ERROR_ACTION.ABORT;
+                            }
+                        }
+                        if (action === ERROR_ACTION.RETRY && retries < info.maxRetries) {
+                            this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Retrying compensation of task '${entry.taskId}'${info.nextDelay ? ` in ${info.nextDelay}ms` : ''} (Attempt ${retries + 1}/${info.maxRetries})...`);
+                            if (info.nextDelay > 0) await sleep(info.nextDelay, null, this._clock);
+                            continue;
+                        }
+                        step.status = 'failed';
+                        if (action === ERROR_ACTION.ABORT) {
+                            this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Stopping compensation after task '${entry.taskId}'.`);
+                            stopped = true;
+                        }
+                        break;
+                    }
+                }
+                this._emit(executionContext, EVENT.COMPENSATE, {
+                    taskId: entry.taskId, groupId: entry.groupId, status: step.status, attempt: step.attempts, error: step.error
+                });
+            }
+
+            const failed = compensation.steps.some(step => step.status !== 'compensated');
+            executionContext.status = failed ? STATUS.COMPENSATION_FAILED : STATUS.COMPENSATED;
+            this._log(logLevel, failed ? logger.error : logger.info, `[FlowCraft][${flowName}] Compensation ${failed ? 'incomplete' : 'completed'}.`);
+        }
+
+        /**
+         * Decides how to proceed after a task error: the retry policy retries on its own while attempts are left
+         * and `retryOn` agrees; otherwise the onError handlers decide.
+         * @returns {Promise<string|*>} An ERROR_ACTION constant or a fallback value.
+         */
+        async _chooseErrorAction(executionContext, error, taskInfo, policy, ...taskDefinitions) {
+            const { flowName, logger, logLevel } = executionContext;
+            if (executionContext.handledErrors.has(error)) {
+                executionContext.handledErrors.delete(error);
+                return ERROR_ACTION.ABORT; // Handlers already decided (e.g. a parallel branch aborted)
+            }
+            if (policy && taskInfo.retries < taskInfo.maxRetries) {
+                let retry = false;
+                try {
+                    retry = await policy.retryOn(error, taskInfo);
+                } catch (predicateError) {
+                    this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in retryOn of task '${taskInfo.id}':`, predicateError);
+                }
+                if (retry) {
+                    this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Retry policy retries task '${taskInfo.id}'.`);
+                    return ERROR_ACTION.RETRY;
+                }
+            }
+            return this._resolveErrorAction(executionContext, error, taskInfo, ...taskDefinitions);
+        }
+
+        /**
+         * Asks the nearest onError handler what to do about a task error.
+         * Candidates are checked innermost first (e.g. a branch, then its parallel group), then the flow-level handler.
+         * @returns {Promise<string|*>} An ERROR_ACTION constant or a fallback value.
+         */
+        async _resolveErrorAction(executionContext, error, taskInfo, ...taskDefinitions) {
+            const { flowName, options, logger, logLevel } = executionContext;
+
+            // 1. Try Task-Specific Handler
+            const handlerOwner = taskDefinitions.find(definition => typeof definition.onError === 'function');
+            if (handlerOwner) {
+                try {
+                    this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Calling task-specific onError of '${handlerOwner.id}' for '${taskInfo.id}'`);
+                    return await handlerOwner.onError(error, executionContext.context, taskInfo);
+                } catch (handlerError) {
+                    this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in task-specific onError handler of '${handlerOwner.id}':`, handlerError);
+                    return ERROR_ACTION.ABORT; // Abort if handler itself fails
+                }
+            }
+            // 2. Try Flow-Level Handler (if no task handler)
+            if (typeof options.onError === 'function') {
+                try {
+                    this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Calling flow-level onError for task '${taskInfo.id}'`);
+                    return await options.onError(error, executionContext.context, taskInfo);
+                } catch (handlerError) {
+                    this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in flow-level onError handler:`, handlerError);
+                    return ERROR_ACTION.ABORT; // Abort if handler itself fails
+                }
+            }
+            return ERROR_ACTION.ABORT; // Default action
+        }
+
+        /**
+         * Runs the branches of a parallel group concurrently (up to `group.concurrency` at a time).
+         * Settled branches are kept in executionContext.groupStates, so a group interrupted by pause()
+         * only runs its unfinished branches when it is re-entered on resume().
+         * @returns {Promise<Object|symbol>} Branch results keyed by branch id, or INTERRUPTED.
+         */
+        _runParallelGroup(executionContext, group, taskInfo, abortSignal) {
+            const { flowName, logger, logLevel } = executionContext;
+            // Cancels the branches still in flight once the group settles (e.g. the losers of a race)
+            const groupController = createAbortController();
+            const onAbort = () => abortWithReason(groupController, abortSignal.reason);
+            abortSignal.addEventListener('abort', onAbort, { once: true });
+            const state = executionContext.groupStates[group.id] ||
+                (executionContext.groupStates[group.id] = { outcomes: {}, order: [], retries: {}, attempts: {} });
+            const queue = group.parallel.filter(branch => !state.outcomes[branch.id]);
+            const limit = group.concurrency || group.parallel.length;
+
+            this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Parallel group '${group.id}' (${group.mode}) starting ${queue.length}/${group.parallel.length} branches.`);
+
+            return new Promise((resolve, reject) => {
+                let running = 0;
+                let finished = false;
+
+                const finish = (decision) => {
+                    finished = true;
+                    delete executionContext.groupStates[group.id];
+                    abortSignal.removeEventListener('abort', onAbort);
+                    abortWithReason(groupController, new Error(`[FlowCraft] Parallel group '${group.id}' already settled.`));
+                    if (decision.error) {
+                        const groupError = decision.error;
+                        if (groupError && typeof groupError === 'object') executionContext.handledErrors.add(groupError);
+                        this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Parallel group '${group.id}' failed.`);
+                        reject(groupError);
+                        return;
+                    }
+                    executionContext.context[group.collectInto] = decision.results;
+                    this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Parallel group '${group.id}' settled.`);
+                    resolve(decision.results);
+                };
+
+                const launchNext = () => {
+                    const decision = this._decideParallelGroup(group, state);
+                    if (decision) return finish(decision);
+
+                    const interrupted = executionContext.status !== STATUS.RUNNING || executionContext.pauseRequested || groupController.signal.aborted;
+                    while (!interrupted && running < limit && queue.length > 0) {
+                        const branch = queue.shift();
+                        running++;
+                        this._runBranch(executionContext, group, branch, taskInfo, state, groupController.signal).then(outcome => {
+                            running--;
+                            if (finished) {
+                                this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Ignoring late branch '${branch.id}' of settled group '${group.id}'.`);
+                                return;
+                            }
+                            if (outcome.status === 'interrupted') {
+                                queue.unshift(branch);
+                            } else {
+                                state.outcomes[branch.id] = outcome;
+                                state.order.push(branch.id);
+                            }
+                            launchNext();
+                        });
+                    }
+                    if (interrupted && running === 0) {
+                        finished = true;
+                        abortSignal.removeEventListener('abort', onAbort);
+                        this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Parallel group '${group.id}' interrupted with ${queue.length} branches not started.`);
+                        resolve(INTERRUPTED);
+                    }
+                };
+
+                launchNext();
+            });
+        }
+
+        /**
+         * Runs the `task` of a forEach step for each item, up to `concurrency` items at a time and one batch after the other.
+         * Settled items are kept in executionContext.groupStates, so a forEach task interrupted by pause() continues with
+         * the next unprocessed item when it is re-entered on resume().
+         * @returns {Promise<Array|symbol>} The item results in item order (undefined for skipped items), or INTERRUPTED.
+         */
+        async _runForEach(executionContext, forEach, taskInfo, abortSignal) {
+            const { flowName, options, logger, logLevel } = executionContext;
+            let state = executionContext.groupStates[forEach.id];
+            if (!state) {
+                const items = typeof forEach.items === 'function'
+                    ? await forEach.items(executionContext.context, taskInfo)
+                    : executionContext.context[forEach.items];
+                if (!Array.isArray(items)) {
+                    throw new Error(`[FlowCraft] Items of forEach task '${forEach.id}' in flow '${flowName}' must be an array (got ${typeOf(items)}).`);
+                }
+                state = executionContext.groupStates[forEach.id] = { items: [...items], outcomes: {}, retries: {}, attempts: {} };
             }
+            const total = state.items.length;
+            const batchSize = forEach.batchSize || total;
+            const unsettled = () => state.items.map((item, index) => index).filter(index => !state.outcomes[index]);
+            // Cancels the items in flight once an item fails the step
+            const itemController = createAbortController();
+            const onAbort = () => abortWithReason(itemController, abortSignal.reason);
+            abortSignal.addEventListener('abort', onAbort, { once: true });
+            let failure = null; // Outcome of the first item that failed
 
-            this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.info, `[FlowCraft] Resuming flow '${this._flowName}'...`);
-            if (resumeData !== null && typeof resumeData === 'object') {
-                // Merge resumeData into context, potentially overwriting
-                Object.assign(this._executionContext.context, resumeData);
-                 this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.debug, `[FlowCraft] Merged resume data into context for '${this._flowName}'.`);
+            const runBatch = batch => new Promise(resolve => {
+                let running = 0;
+                const launchNext = () => {
+                    const stopped = failure !== null || executionContext.status !== STATUS.RUNNING || executionContext.pauseRequested || itemController.signal.aborted;
+                    while (!stopped && running < forEach.concurrency && batch.length > 0) {
+                        const index = batch.shift();
+                        running++;
+                        this._runItem(executionContext, forEach, index, state, itemController.signal).then(outcome => {
+                            running--;
+                            if (outcome.status !== 'rejected') {
+                                state.outcomes[index] = outcome;
+                            } else if (failure === null) {
+                                failure = { index, ...outcome };
+                                abortWithReason(itemController, new Error(`[FlowCraft] forEach task '${forEach.id}' failed at item ${index}.`));
+                            }
+                            launchNext();
+                        });
+                    }
+                    if (running === 0 && (stopped || batch.length === 0)) resolve();
+                };
+                launchNext();
+            });
+
+            try {
+                this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] forEach task '${forEach.id}' processing ${unsettled().length}/${total} items.`);
+                let between = false;
+                for (let pending = unsettled(); pending.length > 0 && failure === null; pending = unsettled()) {
+                    if (between) { // Between batches: save progress and let the page breathe
+                        if (options.autoPersist) await this._persist(executionContext);
+                        await yieldToMain(this._clock);
+                    }
+                    if (executionContext.status !== STATUS.RUNNING || executionContext.pauseRequested || abortSignal.aborted) {
+                        this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] forEach task '${forEach.id}' interrupted before item ${pending[0]}.`);
+                        return INTERRUPTED;
+                    }
+                    const batchEnd = (Math.floor(pending[0] / batchSize) + 1) * batchSize;
+                    await runBatch(pending.filter(index => index < batchEnd));
+                    between = true;
+                }
+            } finally {
+                abortSignal.removeEventListener('abort', onAbort);
             }
-            this._executionContext.status = STATUS.RUNNING;
-            this._executionContext.signalData = null; // Clear signal data
-            // Re-trigger the execution loop asynchronously
-            setTimeout(() => this._flowCraft._executeFlow(this._executionContext), 0);
-        }
 
-        /** Abort the flow execution immediately. */
-        abort(reason = 'Manual abort') {
-            if (this._executionContext.status === STATUS.RUNNING || this._executionContext.status === STATUS.PAUSED) {
-                this._executionContext.status = STATUS.ABORTED;
-                this._executionContext.lastError = new Error(`Flow aborted: ${reason}`);
-                 this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Aborting flow '${this._flowName}'. Reason: ${reason}`);
-                this._rejectPromise(this._executionContext.lastError); // Reject the main promise
-            } else {
-                this._flowCraft._log(this._executionContext.logLevel, this._executionContext.logger.warn, `[FlowCraft] Cannot abort flow '${this._flowName}': not running or paused (status: ${this._executionContext.status})`);
+            delete executionContext.groupStates[forEach.id];
+            if (failure !== null) {
+                if (failure.reason && typeof failure.reason === 'object') executionContext.handledErrors.add(failure.reason);
+                this._log(logLevel, logger.error, `[FlowCraft][${flowName}] forEach task '${forEach.id}' failed at item ${failure.index}.`);
+                throw failure.reason;
             }
+            const results = state.items.map((item, index) => state.outcomes[index].value);
+            executionContext.context[forEach.collectInto] = results;
+            this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] forEach task '${forEach.id}' processed ${total} items.`);
+            return results;
         }
-    }
 
+        /**
+         * Runs the forEach `task` for one item, applying the onError chain (forEach step, flow) and retries.
+         * @returns {Promise<Object>} The item outcome: { status: 'fulfilled', value } | { status: 'skipped' } | { status: 'rejected', reason }
+         */
+        async _runItem(executionContext, forEach, index, state, itemSignal) {
+            const { flowName, options, logger, logLevel } = executionContext;
+            const item = state.items[index];
+            const label = `item ${index} of forEach task '${forEach.id}'`;
 
-    // --- FlowCraft Core Class ---
-    class FlowCraft {
-        constructor() {
-            this.version = VERSION;
-            this._flows = {}; // Store defined flows { flowName: { tasks: [], options: {} } }
-            this._activeInstances = new Map(); // Track running instances { executionId: executionContext }
-            this._executionCounter = 0;
-        }
+            while (true) {
+                const retries = state.retries[index] || 0;
+                const attempts = state.attempts[index] || (state.attempts[index] = []);
+                const retryPolicy = forEach.options?.retry || options.retry;
+                const itemInfo = {
+                    id: forEach.id,
+                    index,
+                    groupId: forEach.id,
+                    itemIndex: index,
+                    item,
+                    retries: retries,
+                    maxRetries: forEach.options?.maxRetries ?? retryPolicy?.maxRetries ?? options.defaultMaxRetries,
+                    nextDelay: retryPolicy ? retryDelay(retryPolicy, retries + 1) : 0,
+                    attempts: attempts.map(attempt => ({ ...attempt }))
+                };
+                const attemptStartedAt = this._clock.now();
+                const contextBefore = { ...executionContext.context };
+                const traceAttempt = (outcome, details = {}) => this._trace(executionContext, {
+                    taskId: forEach.id, groupId: forEach.id, itemIndex: index, index, attempt: retries + 1, startedAt: attemptStartedAt, contextBefore, outcome, ...details
+                });
+                // Items cannot route the flow; a PAUSE signal pauses it before the next item
+                const signal = (type, data = null) => {
+                    if (type === SIGNAL_TYPE.PAUSE) {
+                        executionContext.pauseRequested = true;
+                        executionContext.signalData = data;
+                        this._log(logLevel, logger.info, `[FlowCraft][${flowName}] ${label} signaled: ${type}`);
+                    } else {
+                        this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Ignoring signal ${type} from ${label}: only PAUSE is supported inside forEach tasks.`);
+                    }
+                };
+                const eventDetails = { taskId: forEach.id, taskIndex: index, taskCount: state.items.length, attempt: retries + 1, groupId: forEach.id, itemIndex: index };
 
-        _log(level, logFn, ...args) {
-            if (level >= LOG_LEVEL.ERROR && (logFn === console.error || (logFn.name && logFn.name.includes('error')))) logFn(...args);
-            else if (level >= LOG_LEVEL.INFO && (logFn === console.info || logFn === console.warn || (logFn.name && (logFn.name.includes('info') || logFn.name.includes('warn'))))) logFn(...args);
-            else if (level >= LOG_LEVEL.DEBUG && (logFn === console.debug || (logFn.name && logFn.name.includes('debug')))) logFn(...args);
+                try {
+                    this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Running ${label}`);
+                    this._emit(executionContext, EVENT.TASK_START, eventDetails);
+                    const value = await this._invokeWithSignal(executionContext, forEach.itemTask, { signal, taskInfo: itemInfo, item, index }, itemSignal, null);
+                    this._emit(executionContext, EVENT.TASK_SUCCESS, { ...eventDetails, duration: this._clock.now() - attemptStartedAt, result: value });
+                    traceAttempt(TRACE_OUTCOME.SUCCESS);
+                    return { status: 'fulfilled', value };
+                } catch (error) {
+                    if (executionContext.status !== STATUS.RUNNING || itemSignal.aborted) {
+                        traceAttempt(TRACE_OUTCOME.ABORTED, { error });
+                        return { status: 'rejected', reason: error }; // Flow stopped or another item failed the step
+                    }
+                    this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in ${label}:`, error);
+                    executionContext.lastError = error;
+
+                    const attempt = { attempt: retries + 1, error, startedAt: attemptStartedAt, endedAt: this._clock.now(), delay: null };
+                    attempts.push(attempt);
+                    itemInfo.attempts.push({ ...attempt });
+                    this._emit(executionContext, EVENT.TASK_ERROR, { ...eventDetails, duration: attempt.endedAt - attempt.startedAt, error });
+
+                    const action = await this._chooseErrorAction(executionContext, error, itemInfo, retryPolicy, forEach);
+                    if (action === ERROR_ACTION.RETRY) {
+                        state.retries[index] = retries + 1;
+                        if (retries + 1 <= itemInfo.maxRetries) {
+                            attempt.delay = retryPolicy ? itemInfo.nextDelay : 0;
+                            this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Retrying ${label}${attempt.delay ? ` in ${attempt.delay}ms` : ''} (Attempt ${retries + 1}/${itemInfo.maxRetries})...`);
+                            this._emit(executionContext, EVENT.RETRY, { taskId: forEach.id, taskIndex: index, attempt: retries + 2, delay: attempt.delay, error, groupId: forEach.id, itemIndex: index });
+                            traceAttempt(TRACE_OUTCOME.RETRY, { error, endedAt: attempt.endedAt });
+                            if (attempt.delay > 0) await sleep(attempt.delay, itemSignal, this._clock);
+                            if (itemSignal.aborted) return { status: 'rejected', reason: error };
+                            continue;
+                        }
+                        this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Max retries (${itemInfo.maxRetries}) exceeded for ${label}.`);
+                        traceAttempt(TRACE_OUTCOME.ERROR, { error, endedAt: attempt.endedAt });
+                        return { status: 'rejected', reason: error };
+                    }
+                    if (action === ERROR_ACTION.SKIP) {
+                        this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Skipping failed ${label}.`);
+                        this._emit(executionContext, EVENT.SKIP, { taskId: forEach.id, taskIndex: index, groupId: forEach.id, itemIndex: index, reason: 'error', error });
+                        traceAttempt(TRACE_OUTCOME.SKIP, { reason: 'error', error, endedAt: attempt.endedAt });
+                        return { status: 'skipped' };
+                    }
+                    if (action === ERROR_ACTION.ABORT) {
+                        traceAttempt(TRACE_OUTCOME.ERROR, { error, endedAt: attempt.endedAt });
+                        return { status: 'rejected', reason: error };
+                    }
+                    this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Error handled for ${label}. Using fallback value:`, action);
+                    traceAttempt(TRACE_OUTCOME.FALLBACK, { error, endedAt: attempt.endedAt });
+                    return { status: 'fulfilled', value: action };
+                }
+            }
         }
 
         /**
-         * Defines a new task flow.
-         * @param {string} flowName - A unique name for the flow.
-         * @param {Array<Object|Function>} tasks - An array of task definitions or functions.
-         * Task definition: { id: string (optional), func: Function, onError?: Function, options?: { yieldBefore?: boolean, yieldAfter?: boolean, maxRetries?: number } }
-         * Task function signature: async (context, { signal, taskInfo }) => result | SIGNAL_TYPE.PAUSE
-         * @param {Object} [options={}] - Flow configuration options.
-         * @param {number} [options.logLevel=LOG_LEVEL.INFO] - Logging level (NONE, ERROR, INFO, DEBUG).
-         * @param {Function} [options.logger=defaultLogger()] - Custom logger object {error, warn, info, debug}.
-         * @param {Function} [options.onError] - Global error handler for the flow. Signature: (error, context, taskInfo) => ERROR_ACTION | fallbackValue
-         * @param {boolean} [options.yieldBeforeTask=false] - Yield to main thread before each task.
-         * @param {boolean} [options.yieldAfterTask=false] - Yield to main thread after each task.
-         * @param {number} [options.defaultMaxRetries=0] - Default max retries for tasks if onError returns RETRY.
+         * Runs another defined flow as a nested execution of this one.
+         * A sub-flow paused by one of its tasks (or by a cascaded pause()) pauses the parent on this task;
+         * when the parent is resumed the task is re-entered and the paused child is resumed instead of restarted.
+         * @returns {Promise<Object|symbol>} The child's final context, or INTERRUPTED if the child paused.
          */
-        define(flowName, tasks, options = {}) {
-            if (this._flows[flowName]) {
-                console.warn(`[FlowCraft] Warning: Redefining flow '${flowName}'.`);
-            }
-            if (!Array.isArray(tasks) || tasks.length === 0) {
-                throw new Error(`[FlowCraft] Flow '${flowName}' must have at least one task defined.`);
+        async _runSubFlow(executionContext, taskDefinition, taskInfo, abortSignal) {
+            const { flowName, logger, logLevel } = executionContext;
+            const key = taskInfo.groupId ? `${taskInfo.groupId}/${taskInfo.id}` : taskInfo.id;
+            let child = executionContext.children[key];
+
+            if (child && child.status === STATUS.PAUSED) {
+                this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Resuming sub-flow '${child.flowName}' of task '${taskInfo.id}'.`);
+                child.flowInstance.resume(executionContext.resumeData);
+            } else if (child && child.interrupted) {
+                // Resumed on its own (e.g. by a 'paused' listener) before this flow paused: wait for it instead of starting it again
+                this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Re-attaching to sub-flow '${child.flowName}' of task '${taskInfo.id}' (status: ${child.status}).`);
+            } else {
+                const chain = [];
+                for (let ancestor = executionContext; ancestor; ancestor = ancestor.parent) chain.unshift(ancestor.flowName);
+                if (chain.includes(taskDefinition.flow)) {
+                    throw new Error(`[FlowCraft] Recursive sub-flow reference detected: ${[...chain, taskDefinition.flow].join(' -> ')}.`);
+                }
+                const input = taskDefinition.input
+                    ? await taskDefinition.input(executionContext.context, taskInfo)
+                    : { ...executionContext.context };
+                child = this._startExecution(taskDefinition.flow, input, executionContext);
+                executionContext.children[key] = child;
             }
 
-            const flowDefinition = {
-                tasks: tasks.map((task, index) => {
-                    if (typeof task === 'function') {
-                        return { id: `task_${index}`, func: task, options: {}, retries: 0 };
-                    }
-                    if (typeof task === 'object' && typeof task.func === 'function') {
-                        return {
-                             id: task.id || `task_${index}`,
-                             func: task.func,
-                             onError: task.onError, // Task specific error handler
-                             options: task.options || {},
-                             retries: 0 // Initialize retry count for the task definition scope
-                        };
-                    }
-                    throw new Error(`[FlowCraft] Invalid task definition at index ${index} for flow '${flowName}'. Must be a function or an object with a 'func' property.`);
-                }),
-                options: {
-                    logLevel: options.logLevel !== undefined ? options.logLevel : LOG_LEVEL.INFO,
-                    logger: options.logger || defaultLogger(),
-                    onError: options.onError, // Flow level error handler
-                    yieldBeforeTask: options.yieldBeforeTask || false,
-                    yieldAfterTask: options.yieldAfterTask || false,
-                    defaultMaxRetries: options.defaultMaxRetries || 0,
-                    ...options // Allow other custom options
+            // Cancelling the sub-flow task (timeout, abort) aborts the child
+            const onAbort = () => {
+                if (child.status === STATUS.RUNNING || child.status === STATUS.PAUSED) {
+                    const cause = abortSignal.reason;
+                    child.flowInstance.abort(cause && cause.message ? cause.message : `Task '${taskInfo.id}' of flow '${flowName}' was cancelled`);
                 }
             };
+            let outcome;
+            child.interrupted = false;
+            try {
+                abortSignal.addEventListener('abort', onAbort, { once: true });
+                outcome = await new Promise((resolve, reject) => {
+                    child.onPause = () => resolve(INTERRUPTED);
+                    child.flowInstance.result.then(resolve, reject);
+                });
+            } finally {
+                child.onPause = null;
+                abortSignal.removeEventListener('abort', onAbort);
+            }
 
-            this._flows[flowName] = flowDefinition;
-            this._log(flowDefinition.options.logLevel, flowDefinition.options.logger.info, `[FlowCraft] Defined flow '${flowName}' with ${flowDefinition.tasks.length} tasks.`);
+            if (outcome === INTERRUPTED) {
+                // Surface the child's pause on the parent
+                child.interrupted = true;
+                executionContext.signalData = child.signalData;
+                executionContext.pauseRequested = true;
+                this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Sub-flow '${child.flowName}' of task '${taskInfo.id}' paused.`);
+                return INTERRUPTED;
+            }
+            if (taskDefinition.output) {
+                await taskDefinition.output(executionContext.context, outcome);
+            } else {
+                Object.assign(executionContext.context, outcome);
+            }
+            return outcome;
         }
 
         /**
-         * Runs a defined flow.
-         * @param {string} flowName - The name of the flow to run.
-         * @param {Object} [initialContext={}] - An initial context object to be passed to the first task.
-         * @returns {FlowInstance} - A controller object for the running flow instance.
+         * Decides whether a parallel group is settled given the outcomes of its branches so far.
+         * @returns {{results: Object}|{error: *}|null} null while the group needs more branches to settle.
          */
-        run(flowName, initialContext = {}) {
-            const flowDefinition = this._flows[flowName];
-            if (!flowDefinition) {
-                throw new Error(`[FlowCraft] Flow '${flowName}' is not defined.`);
+        _decideParallelGroup(group, state) {
+            const settled = state.order.map(id => ({ id, ...state.outcomes[id] })); // In settlement order
+            const allSettled = settled.length === group.parallel.length;
+            const rejected = settled.filter(outcome => outcome.status === 'rejected');
+            const fulfilled = settled.filter(outcome => outcome.status === 'fulfilled');
+            const byDefinitionOrder = outcomes => group.parallel
+                .map(branch => outcomes.find(outcome => outcome.id === branch.id))
+                .filter(Boolean);
+            const collect = outcomes => outcomes.reduce((results, outcome) => {
+                results[outcome.id] = outcome.value;
+                return results;
+            }, {});
+
+            switch (group.mode) {
+                case PARALLEL_MODE.ALL:
+                    if (rejected.length > 0) return { error: rejected[0].reason };
+                    return allSettled ? { results: collect(byDefinitionOrder(fulfilled)) } : null;
+                case PARALLEL_MODE.ALL_SETTLED:
+                    return allSettled ? {
+                        results: byDefinitionOrder(settled).reduce((results, { id, ...outcome }) => {
+                            results[id] = outcome;
+                            return results;
+                        }, {})
+                    } : null;
+                case PARALLEL_MODE.RACE: {
+                    const winner = settled.find(outcome => outcome.status !== 'skipped');
+                    if (winner) return winner.status === 'rejected' ? { error: winner.reason } : { results: collect([winner]) };
+                    return allSettled ? { results: {} } : null;
+                }
+                case PARALLEL_MODE.ANY:
+                    if (fulfilled.length > 0) return { results: collect(fulfilled.slice(0, 1)) };
+                    if (!allSettled) return null;
+                    if (rejected.length === 0) return { results: {} };
+                    return { error: aggregateError(rejected.map(outcome => outcome.reason), `[FlowCraft] All branches of parallel group '${group.id}' failed.`) };
             }
+            return null;
+        }
 
-            this._executionCounter++;
-            const executionId = `${flowName}_${this._executionCounter}`;
+        /**
+         * Runs one branch of a parallel group, applying the onError chain (branch, group, flow) and retries.
+         * @returns {Promise<Object>} The branch outcome: { status: 'fulfilled', value } | { status: 'rejected', reason } | { status: 'skipped' }
+         * or { status: 'interrupted' } when a sub-flow branch paused.
+         */
+        async _runBranch(executionContext, group, branch, groupInfo, state, groupSignal) {
+            const { flowName, options, logger, logLevel } = executionContext;
 
-            // Create execution context for this specific run
-            const executionContext = {
-                id: executionId,
-                flowName: flowName,
-                tasks: flowDefinition.tasks.map(t => ({ ...t, retries: 0 })), // Clone tasks with execution-specific retry counts
-                options: flowDefinition.options,
-                logLevel: flowDefinition.options.logLevel,
-                logger: flowDefinition.options.logger,
-                context: { ...initialContext }, // Clone initial context
-                currentTaskIndex: 0,
-                status: STATUS.IDLE,
-                lastError: null,
-                signalData: null, // Data passed with a signal (e.g., PAUSE)
-                pauseRequested: false, // Flag for external pause request
-                flowInstance: null // Will be set below
-            };
+            while (true) {
+                const retries = state.retries[branch.id] || 0;
+                if (!state.attempts) state.attempts = {}; // Missing in snapshots of older versions
+                const attempts = state.attempts[branch.id] || (state.attempts[branch.id] = []);
+                const retryPolicy = branch.options?.retry || group.options?.retry || options.retry;
+                const branchInfo = {
+                    id: branch.id,
+                    index: group.parallel.indexOf(branch),
+                    groupId: group.id,
+                    retries: retries,
+                    maxRetries: branch.options?.maxRetries ?? group.options?.maxRetries ?? retryPolicy?.maxRetries ?? options.defaultMaxRetries,
+                    nextDelay: retryPolicy ? retryDelay(retryPolicy, retries + 1) : 0,
+                    attempts: attempts.map(attempt => ({ ...attempt }))
+                };
+                const attemptStartedAt = this._clock.now();
+                const contextBefore = { ...executionContext.context };
+                const traceAttempt = (outcome, details = {}) => this._trace(executionContext, {
+                    taskId: branch.id, groupId: group.id, index: branchInfo.index, attempt: retries + 1, startedAt: attemptStartedAt, contextBefore, outcome,
+                    child: branch.flow ? executionContext.children[`${group.id}/${branch.id}`] : null, ...details
+                });
+                // Branches cannot route the flow; a PAUSE signal pauses it after the group
+                let pauseSignaled = false;
+                const signal = (type, data = null) => {
+                    if (type === SIGNAL_TYPE.PAUSE) {
+                        pauseSignaled = true;
+                        executionContext.pauseRequested = true;
+                        executionContext.signalData = data;
+                        this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Branch '${branch.id}' of group '${groupInfo.id}' signaled: ${type}`);
+                    } else {
+                        this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Ignoring signal ${type} from branch '${branch.id}': only PAUSE is supported inside parallel groups.`);
+                    }
+                };
 
-            const instance = new FlowInstance(this, flowName, executionContext);
-            executionContext.flowInstance = instance; // Give context access to its instance
-            this._activeInstances.set(executionId, executionContext); // Track active instance
+                try {
+                    if (typeof branch.when === 'function' && !(await branch.when(executionContext.context, branchInfo))) {
+                        this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Condition not met, skipping branch '${branch.id}'.`);
+                        this._emit(executionContext, EVENT.SKIP, { taskId: branch.id, taskIndex: branchInfo.index, groupId: group.id, reason: 'condition' });
+                        traceAttempt(TRACE_OUTCOME.SKIP, { reason: 'condition' });
+                        return { status: 'skipped' };
+                    }
+                    this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Running branch '${branch.id}' of group '${group.id}'`);
+                    const eventDetails = { taskId: branch.id, taskIndex: branchInfo.index, taskCount: group.parallel.length, attempt: retries + 1, groupId: group.id };
+                    this._checkContract(executionContext, branch, 'requires');
+                    this._emit(executionContext, EVENT.TASK_START, eventDetails);
+                    const value = await this._invokeWithSignal(executionContext, branch, { signal, taskInfo: branchInfo }, groupSignal, null);
+                    if (value === INTERRUPTED) {
+                        traceAttempt(executionContext.status === STATUS.RUNNING && !groupSignal.aborted ? TRACE_OUTCOME.INTERRUPTED : TRACE_OUTCOME.ABORTED);
+                        return { status: 'interrupted' }; // Re-run when the group is re-entered
+                    }
+                    if (!pauseSignaled) this._checkContract(executionContext, branch, 'provides');
+                    this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Branch '${branch.id}' completed. Result:`, value);
+                    this._emit(executionContext, EVENT.TASK_SUCCESS, { ...eventDetails, duration: this._clock.now() - attemptStartedAt, result: value });
+                    traceAttempt(TRACE_OUTCOME.SUCCESS);
+                    if (branch.compensate) executionContext.compensations.push({ taskId: branch.id, groupId: group.id, result: value });
+                    return { status: 'fulfilled', value };
+                } catch (error) {
+                    if (executionContext.status !== STATUS.RUNNING || groupSignal.aborted) {
+                        traceAttempt(TRACE_OUTCOME.ABORTED, { error });
+                        return { status: 'rejected', reason: error }; // Flow stopped or group cancelled, nobody to ask
+                    }
+                    this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in branch '${branch.id}' of group '${group.id}':`, error);
+                    executionContext.lastError = error;
 
-            this._log(executionContext.logLevel, executionContext.logger.info, `[FlowCraft] Starting flow '${flowName}' (Execution ID: ${executionId})`);
-            executionContext.status = STATUS.RUNNING;
+                    const attempt = { attempt: retries + 1, error, startedAt: attemptStartedAt, endedAt: this._clock.now(), delay: null };
+                    attempts.push(attempt);
+                    branchInfo.attempts.push({ ...attempt });
+                    this._emit(executionContext, EVENT.TASK_ERROR, {
+                        taskId: branch.id, taskIndex: branchInfo.index, taskCount: group.parallel.length, attempt: attempt.attempt,
+                        duration: attempt.endedAt - attempt.startedAt, error, groupId: group.id
+                    });
 
-            // Start execution asynchronously
-            setTimeout(() => this._executeFlow(executionContext), 0);
+                    const action = await this._chooseErrorAction(executionContext, error, branchInfo, retryPolicy, branch, group);
+                    if (action === ERROR_ACTION.RETRY) {
+                        state.retries[branch.id] = retries + 1;
+                        if (retries + 1 <= branchInfo.maxRetries) {
+                            attempt.delay = retryPolicy ? branchInfo.nextDelay : 0;
+                            this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Retrying branch '${branch.id}'${attempt.delay ? ` in ${attempt.delay}ms` : ''} (Attempt ${retries + 1}/${branchInfo.maxRetries})...`);
+                            this._emit(executionContext, EVENT.RETRY, { taskId: branch.id, taskIndex: branchInfo.index, attempt: retries + 2, delay: attempt.delay, error, groupId: group.id });
+                            traceAttempt(TRACE_OUTCOME.RETRY, { error, endedAt: attempt.endedAt });
+                            if (attempt.delay > 0) await sleep(attempt.delay, groupSignal, this._clock);
+                            if (groupSignal.aborted) return { status: 'rejected', reason: error };
+                            continue;
+                        }
+                        this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Max retries (${branchInfo.maxRetries}) exceeded for branch '${branch.id}'.`);
+                        traceAttempt(TRACE_OUTCOME.ERROR, { error, endedAt: attempt.endedAt });
+                        return { status: 'rejected', reason: error };
+                    }
+                    if (action === ERROR_ACTION.SKIP) {
+                        this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Skipping failed branch '${branch.id}'.`);
+                        this._emit(executionContext, EVENT.SKIP, { taskId: branch.id, taskIndex: branchInfo.index, groupId: group.id, reason: 'error', error });
+                        traceAttempt(TRACE_OUTCOME.SKIP, { reason: 'error', error, endedAt: attempt.endedAt });
+                        return { status: 'skipped' };
+                    }
+                    if (action === ERROR_ACTION.ABORT) {
+                        traceAttempt(TRACE_OUTCOME.ERROR, { error, endedAt: attempt.endedAt });
+                        return { status: 'rejected', reason: error };
+                    }
+                    this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Error handled for branch '${branch.id}'. Using fallback value:`, action);
+                    traceAttempt(TRACE_OUTCOME.FALLBACK, { error, endedAt: attempt.endedAt });
+                    return { status: 'fulfilled', value: action };
+                }
+            }
+        }
 
-            return instance; // Return the controller immediately
+        /** Maps a task id to its index in the running flow. Throws if the id is unknown. */
+        _resolveTaskIndex(executionContext, targetId, fromTaskId) {
+            const index = executionContext.indexById[targetId];
+            if (index === undefined) {
+                throw new Error(`[FlowCraft] Task '${fromTaskId}' in flow '${executionContext.flowName}' routed to unknown task '${targetId}'.`);
+            }
+            return index;
         }
 
+        /** Records a routing decision so getState() can report which branch was taken. */
+        _recordBranch(executionContext, fromIndex, toIndex, via) {
+            const { tasks, flowName, logger, logLevel } = executionContext;
+            const branch = { from: tasks[fromIndex].id, to: toIndex < tasks.length ? tasks[toIndex].id : null, via };
+            executionContext.branches.push(branch);
+            this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Branch via '${via}': '${branch.from}' -> ${branch.to === null ? 'end of flow' : `'${branch.to}'`}`);
+        }
 
-        // --- Internal Execution Logic ---
+        /** Pauses the flow before the current task if the debugger wants to stop there. Returns whether it paused. */
+        _debugBreak(executionContext) {
+            const debug = executionContext.debug;
+            const taskIndex = executionContext.currentTaskIndex;
+            if (debug.passIndex === taskIndex) {
+                debug.passIndex = null; // Resumed from a pause before this task
+                return false;
+            }
+            debug.passIndex = null;
+            const task = executionContext.tasks[taskIndex];
+            const taskInfo = { id: task.id, index: taskIndex, retries: task.retries };
+            const hit = debug.breakpoints.some(breakpoint => {
+                if (typeof breakpoint === 'string') return breakpoint === task.id;
+                try {
+                    return breakpoint(executionContext.context, taskInfo);
+                } catch (error) {
+                    this._log(executionContext.logLevel, executionContext.logger.error, `[FlowCraft][${executionContext.flowName}] Error in breakpoint predicate:`, error);
+                    return false;
+                }
+            });
+            if (!hit && !debug.stepping) return false;
+            this._debugPause(executionContext, hit ? 'breakpoint' : 'step', null);
+            return true;
+        }
+
+        /** Pauses the flow before its current task on behalf of the debugger. */
+        _debugPause(executionContext, reason, error) {
+            const taskIndex = executionContext.currentTaskIndex;
+            const taskId = executionContext.tasks[taskIndex].id;
+            executionContext.debug.passIndex = taskIndex;
+            executionContext.signalData = { debug: true, reason, taskId, taskIndex, ...(error ? { error } : {}) };
+            this._log(executionContext.logLevel, executionContext.logger.info, `[FlowCraft][${executionContext.flowName}] Debugger paused before task '${taskId}' (${reason}).`);
+            this._pauseExecution(executionContext);
+        }
 
         async _executeFlow(executionContext) {
             const { flowName, tasks, options, logger, logLevel } = executionContext;
@@ -262,19 +3590,35 @@
                     return; // Exit loop if aborted or paused internally
                 }
 
+                // --- Debugger ---
+                if (executionContext.debug && this._debugBreak(executionContext)) return;
+
+                // --- Persist progress (after the previous task) ---
+                if (options.autoPersist) await this._persist(executionContext);
+
                 const taskIndex = executionContext.currentTaskIndex;
                 const taskDefinition = tasks[taskIndex];
+                const retryPolicy = taskDefinition.options?.retry || options.retry;
                 const taskInfo = {
                     id: taskDefinition.id,
                     index: taskIndex,
                     retries: taskDefinition.retries,
-                    maxRetries: taskDefinition.options?.maxRetries ?? options.defaultMaxRetries
+                    maxRetries: taskDefinition.options?.maxRetries ?? retryPolicy?.maxRetries ?? options.defaultMaxRetries,
+                    nextDelay: retryPolicy ? retryDelay(retryPolicy, taskDefinition.retries + 1) : 0, // Wait before the next retry if this attempt fails
+                    attempts: taskDefinition.attempts.map(attempt => ({ ...attempt })) // Failed attempts so far
                 };
+                const attemptStartedAt = this._clock.now();
+                executionContext.lastTaskIndex = taskIndex;
+                const contextBefore = { ...executionContext.context };
+                const traceAttempt = (outcome, details = {}) => this._trace(executionContext, {
+                    taskId: taskInfo.id, index: taskIndex, attempt: taskInfo.retries + 1, startedAt: attemptStartedAt, contextBefore, outcome,
+                    child: taskDefinition.flow ? executionContext.children[taskInfo.id] : null, ...details
+                });
 
                  // --- Yielding Hook (Before) ---
                  if (taskDefinition.options?.yieldBefore || options.yieldBeforeTask) {
                     this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Yielding before task '${taskInfo.id}'`);
-                    await yieldToMain();
+                    await yieldToMain(this._clock);
                     // Check status again after yield, could have been aborted/paused
                     if (executionContext.status !== STATUS.RUNNING) continue;
                  }
@@ -284,6 +3628,7 @@
                 let taskSignal = null;
                 let taskSignalData = null;
                 const signal = (type, data = null) => {
+                    if (type === SIGNAL_TYPE.WAIT_FOR) data = normalizeTriggerSource(data, `the waitFor signal of task '${taskInfo.id}'`);
                     taskSignal = type;
                     taskSignalData = data;
                     this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Task '${taskInfo.id}' signaled: ${type}`);
@@ -292,60 +3637,132 @@
                 this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Running task ${taskIndex + 1}/${tasks.length}: '${taskInfo.id}'`);
                 this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Task context before execution:`, { ...executionContext.context }); // Log shallow copy
 
+                let nextIndex = taskIndex + 1; // Sequential by default, routing may change it
+                let skippedByCondition = false;
+
                 try {
-                    // --- Execute Task ---
-                    const taskResult = await taskDefinition.func(executionContext.context, { signal, taskInfo });
-
-                    // --- Handle Signals ---
-                    if (taskSignal === SIGNAL_TYPE.PAUSE) {
-                        executionContext.status = STATUS.PAUSED;
-                        executionContext.signalData = taskSignalData;
-                        this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Paused by task '${taskInfo.id}'.`);
-                        // Don't increment task index, stay here until resumed
-                        return; // Exit execution loop, wait for resume()
-                    }
-                     // Handle other signals here if added...
+                    // --- Conditional Execution ---
+                    if (typeof taskDefinition.when === 'function' && !(await taskDefinition.when(executionContext.context, taskInfo))) {
+                        skippedByCondition = true;
+                        this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Condition not met, skipping task '${taskInfo.id}'.`);
+                        this._emit(executionContext, EVENT.SKIP, { taskId: taskInfo.id, taskIndex, reason: 'condition' });
+                        traceAttempt(TRACE_OUTCOME.SKIP, { reason: 'condition' });
+                        this._recordBranch(executionContext, taskIndex, nextIndex, 'when');
+                    } else {
+                        // --- Execute Task ---
+                        this._checkContract(executionContext, taskDefinition, 'requires');
+                        executionContext.handledErrors.clear(); // Markers only apply to the attempt that set them
+                        this._emit(executionContext, EVENT.TASK_START, { taskId: taskInfo.id, taskIndex, taskCount: tasks.length, attempt: taskInfo.retries + 1 });
+                        const taskResult = await this._invokeWithSignal(executionContext, taskDefinition, { signal, taskInfo },
+                            executionContext.abortController.signal, this._flowTimeLeft(executionContext));
+                        if (taskResult === INTERRUPTED) {
+                            traceAttempt(executionContext.status === STATUS.RUNNING ? TRACE_OUTCOME.INTERRUPTED : TRACE_OUTCOME.ABORTED);
+                            if (executionContext.debug) executionContext.debug.passIndex = taskIndex; // Don't break when re-entering the task
+                            if (executionContext.status === STATUS.RUNNING) {
+                                this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Paused inside task '${taskInfo.id}'. Unfinished work continues on resume().`);
+                                this._pauseExecution(executionContext);
+                            }
+                            return; // Stay on this task, resume() re-enters it
+                        }
 
-                    // --- Handle Task Result ---
-                    // Tasks generally modify context directly, but result could be used if needed
-                    this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Task '${taskInfo.id}' completed. Result:`, taskResult);
-                    taskDefinition.retries = 0; // Reset retries on success
+                        // A task pausing the flow may leave its keys to the resume data
+                        if (taskSignal !== SIGNAL_TYPE.PAUSE && taskSignal !== SIGNAL_TYPE.WAIT_FOR) this._checkContract(executionContext, taskDefinition, 'provides');
+
+                        // --- Routing ---
+                        // Resolved before the task counts as done: retrying or skipping the task would not fix a bad target
+                        let routedVia = null;
+                        try {
+                            if (taskSignal === SIGNAL_TYPE.GOTO) {
+                                nextIndex = this._resolveTaskIndex(executionContext, taskSignalData, taskInfo.id);
+                                routedVia = 'goto';
+                            } else if (taskSignal === SIGNAL_TYPE.COMPLETE) {
+                                nextIndex = tasks.length;
+                                routedVia = 'complete';
+                            } else if (taskDefinition.next !== undefined) {
+                                const target = typeof taskDefinition.next === 'function'
+                                    ? await taskDefinition.next(executionContext.context, taskResult)
+                                    : taskDefinition.next;
+                                nextIndex = this._resolveTaskIndex(executionContext, target, taskInfo.id);
+                                routedVia = 'next';
+                            }
+                        } catch (routingError) {
+                            if (executionContext.status !== STATUS.RUNNING) {
+                                traceAttempt(TRACE_OUTCOME.ABORTED, { error: routingError });
+                                return; // Already rejected by abort()
+                            }
+                            this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Routing after task '${taskInfo.id}' failed:`, routingError);
+                            executionContext.lastError = routingError;
+                            this._emit(executionContext, EVENT.TASK_ERROR, {
+                                taskId: taskInfo.id, taskIndex, taskCount: tasks.length, attempt: taskInfo.retries + 1,
+                                duration: this._clock.now() - attemptStartedAt, error: routingError
+                            });
+                            traceAttempt(TRACE_OUTCOME.ERROR, { error: routingError });
+                            this._failExecution(executionContext, routingError, taskInfo.id);
+                            return; // Not retryable, the task's onError handling does not apply
+                        }
+
+                        // --- Handle Task Result ---
+                        // Tasks generally modify context directly, but result could be used if needed
+                        this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Task '${taskInfo.id}' completed. Result:`, taskResult);
+                        this._emit(executionContext, EVENT.TASK_SUCCESS, {
+                            taskId: taskInfo.id, taskIndex, taskCount: tasks.length, attempt: taskInfo.retries + 1,
+                            duration: this._clock.now() - attemptStartedAt, result: taskResult
+                        });
+                        const signalRecord = taskSignal === SIGNAL_TYPE.WAIT_FOR ? describeTriggerSource(taskSignalData) : taskSignalData;
+                        traceAttempt(TRACE_OUTCOME.SUCCESS, { signal: taskSignal ? { type: taskSignal, data: signalRecord } : null });
+                        if (taskDefinition.compensate) executionContext.compensations.push({ taskId: taskInfo.id, groupId: null, result: taskResult });
+                        taskDefinition.retries = 0; // Reset retries on success
+                        taskDefinition.attempts = [];
+                        if (routedVia) this._recordBranch(executionContext, taskIndex, nextIndex, routedVia);
+
+                        // --- Handle Signals ---
+                        if (taskSignal === SIGNAL_TYPE.PAUSE) {
+                            executionContext.signalData = taskSignalData;
+                            executionContext.currentTaskIndex = nextIndex; // Resume with the task that follows
+                            this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Paused by task '${taskInfo.id}'.`);
+                            this._pauseExecution(executionContext);
+                            return; // Exit execution loop, wait for resume()
+                        }
+                        if (taskSignal === SIGNAL_TYPE.WAIT_FOR) {
+                            executionContext.signalData = { waitFor: signalRecord }; // Serializable, unlike the source
+                            executionContext.currentTaskIndex = nextIndex;
+                            this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Task '${taskInfo.id}' paused the flow until its waitFor source fires.`);
+                            this._pauseExecution(executionContext);
+                            if (executionContext.status === STATUS.PAUSED) this._waitFor(executionContext, taskSignalData); // Unless a 'paused' listener resumed it
+                            return;
+                        }
+                        // Handle other signals here if added...
+                    }
 
                 } catch (error) {
+                     if (executionContext.status !== STATUS.RUNNING) {
+                         traceAttempt(TRACE_OUTCOME.ABORTED, { error });
+                         this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Ignoring error of task '${taskInfo.id}' after abort:`, error);
+                         return; // Already rejected by abort()
+                     }
                      // --- Error Handling ---
                      this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in task '${taskInfo.id}':`, error);
                      executionContext.lastError = error;
 
-                     let action = ERROR_ACTION.ABORT; // Default action
+                     const attempt = { attempt: taskInfo.retries + 1, error, startedAt: attemptStartedAt, endedAt: this._clock.now(), delay: null };
+                     taskDefinition.attempts.push(attempt);
+                     taskInfo.attempts.push({ ...attempt });
+                     this._emit(executionContext, EVENT.TASK_ERROR, {
+                         taskId: taskInfo.id, taskIndex, taskCount: tasks.length, attempt: attempt.attempt,
+                         duration: attempt.endedAt - attempt.startedAt, error
+                     });
 
-                     // 1. Try Task-Specific Handler
-                     if (typeof taskDefinition.onError === 'function') {
-                         try {
-                             this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Calling task-specific onError for '${taskInfo.id}'`);
-                             action = await taskDefinition.onError(error, executionContext.context, taskInfo);
-                         } catch (handlerError) {
-                             this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in task-specific onError handler for '${taskInfo.id}':`, handlerError);
-                             action = ERROR_ACTION.ABORT; // Abort if handler itself fails
-                         }
-                     }
-                     // 2. Try Flow-Level Handler (if no task handler or task handler didn't resolve)
-                     else if (typeof options.onError === 'function') {
-                         try {
-                              this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Calling flow-level onError for task '${taskInfo.id}'`);
-                              action = await options.onError(error, executionContext.context, taskInfo);
-                         } catch (handlerError) {
-                             this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Error in flow-level onError handler:`, handlerError);
-                             action = ERROR_ACTION.ABORT; // Abort if handler itself fails
-                         }
-                     }
+                     let action = await this._chooseErrorAction(executionContext, error, taskInfo, retryPolicy, taskDefinition);
 
                      // --- Process Error Action ---
                      if (action === ERROR_ACTION.RETRY) {
                          taskDefinition.retries++;
                          if (taskDefinition.retries <= taskInfo.maxRetries) {
-                            this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Retrying task '${taskInfo.id}' (Attempt ${taskDefinition.retries}/${taskInfo.maxRetries})...`);
-                             // Optionally add a delay before retry
-                             // await new Promise(res => setTimeout(res, 1000));
+                             attempt.delay = retryPolicy ? taskInfo.nextDelay : 0;
+                            this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Retrying task '${taskInfo.id}'${attempt.delay ? ` in ${attempt.delay}ms` : ''} (Attempt ${taskDefinition.retries}/${taskInfo.maxRetries})...`);
+                             this._emit(executionContext, EVENT.RETRY, { taskId: taskInfo.id, taskIndex, attempt: taskDefinition.retries + 1, delay: attempt.delay, error });
+                             traceAttempt(TRACE_OUTCOME.RETRY, { error, endedAt: attempt.endedAt });
+                             if (attempt.delay > 0) await sleep(attempt.delay, executionContext.abortController.signal, this._clock);
                              continue; // Stay on the same task index
                          } else {
                              this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Max retries (${taskInfo.maxRetries}) exceeded for task '${taskInfo.id}'. Aborting.`);
@@ -355,47 +3772,55 @@
 
                      if (action === ERROR_ACTION.SKIP) {
                          this._log(logLevel, logger.warn, `[FlowCraft][${flowName}] Skipping failed task '${taskInfo.id}'.`);
+                         this._emit(executionContext, EVENT.SKIP, { taskId: taskInfo.id, taskIndex, reason: 'error', error });
+                         traceAttempt(TRACE_OUTCOME.SKIP, { reason: 'error', error, endedAt: attempt.endedAt });
                          executionContext.currentTaskIndex++; // Move to next task
                          taskDefinition.retries = 0; // Reset retries as we are skipping
+                         taskDefinition.attempts = [];
                          continue; // Continue loop with next task
                      }
 
                      if (action === ERROR_ACTION.ABORT) {
-                         this._log(logLevel, logger.error, `[FlowCraft][${flowName}] Aborting flow due to error in task '${taskInfo.id}'.`);
-                         executionContext.status = STATUS.ERROR;
-                         if (executionContext.flowInstance) executionContext.flowInstance._rejectPromise(error);
-                         this._activeInstances.delete(executionContext.id);
+                         traceAttempt(TRACE_OUTCOME.ERROR, { error, endedAt: attempt.endedAt });
+                         if (executionContext.debug && executionContext.debug.pauseOnError) {
+                             taskDefinition.retries = 0;
+                             taskDefinition.attempts = [];
+                             this._debugPause(executionContext, 'error', error);
+                             return; // Wait for the developer: retryTask(), skipTask(), setContext(), ...
+                         }
+                         this._failExecution(executionContext, error, taskInfo.id);
                          return; // Exit execution loop
                      }
 
                      // If action is not a recognized constant, assume it's a fallback value
                      this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Error handled for task '${taskInfo.id}'. Using fallback value:`, action);
+                     traceAttempt(TRACE_OUTCOME.FALLBACK, { error, endedAt: attempt.endedAt });
                      // Potentially update context with the fallback value if needed
                      // executionContext.context.someProperty = action;
                      taskDefinition.retries = 0; // Reset retries as error was handled
+                     taskDefinition.attempts = [];
                      // Fall through to increment task index and continue
 
                 } // End catch block
 
                 // --- Yielding Hook (After) ---
-                if (taskDefinition.options?.yieldAfter || options.yieldAfterTask) {
+                if (!skippedByCondition && (taskDefinition.options?.yieldAfter || options.yieldAfterTask)) {
                      this._log(logLevel, logger.debug, `[FlowCraft][${flowName}] Yielding after task '${taskInfo.id}'`);
-                     await yieldToMain();
+                     await yieldToMain(this._clock);
                      // Check status again after yield
                      if (executionContext.status !== STATUS.RUNNING) continue;
                 }
 
                 // --- External Pause Request Check ---
                 if (executionContext.pauseRequested) {
-                     executionContext.status = STATUS.PAUSED;
-                     executionContext.pauseRequested = false; // Reset request flag
+                     executionContext.currentTaskIndex = nextIndex; // Pause *after* the completed task
                      this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Paused externally after task '${taskInfo.id}'.`);
-                     // Don't increment task index yet, pause *after* the completed task
+                     this._pauseExecution(executionContext);
                      return; // Exit execution loop, wait for resume()
                  }
 
                  // --- Move to next task ---
-                 executionContext.currentTaskIndex++;
+                 executionContext.currentTaskIndex = nextIndex;
 
             } // End while loop
 
@@ -404,18 +3829,342 @@
                 executionContext.status = STATUS.COMPLETED;
                 this._log(logLevel, logger.info, `[FlowCraft][${flowName}] Flow completed successfully.`);
                 if (executionContext.flowInstance) executionContext.flowInstance._resolvePromise(executionContext.context); // Resolve with final context
-                this._activeInstances.delete(executionContext.id);
+                this._emit(executionContext, EVENT.COMPLETED, { context: executionContext.context, duration: this._runningTime(executionContext) });
+                this._releaseExecution(executionContext);
+            }
+        }
+    }
+
+    // --- Testing ---
+
+    /** Thrown by the assertions of FlowCraft.testing harnesses. */
+    class AssertionError extends Error {
+        constructor(message, { actual, expected }) {
+            super(message);
+            this.name = 'AssertionError';
+            this.actual = actual;
+            this.expected = expected;
+        }
+    }
+
+    /** Resolves after pending promise callbacks ran, using a real timer so it works whatever clock the flows use. */
+    function flushPromises() {
+        return new Promise(resolve => systemClock.setTimeout(resolve, 0));
+    }
+
+    /**
+     * A clock that only moves when told to. Yields, retry delays, timeouts and circuit breakers of flows using it
+     * wait for tick() or next() instead of real time. Timers due at the same time fire in creation order.
+     */
+    class FakeClock {
+        constructor(start = 0) {
+            this._now = start;
+            this._timers = new Map(); // { id: { id, at, callback } }
+            this._lastId = 0;
+        }
+
+        now() {
+            return this._now;
+        }
+
+        setTimeout(callback, ms = 0) {
+            const id = ++this._lastId;
+            this._timers.set(id, { id, at: this._now + Math.max(Number(ms) || 0, 0), callback });
+            return id;
+        }
+
+        clearTimeout(id) {
+            this._timers.delete(id);
+        }
+
+        /** Number of timers waiting to fire. */
+        get pending() {
+            return this._timers.size;
+        }
+
+        /**
+         * Lets pending promise callbacks run, then moves the clock to the next timer and fires it.
+         * @returns {Promise<boolean>} false if there was no timer to fire.
+         */
+        async next() {
+            await flushPromises();
+            const timer = this._nextTimer();
+            if (!timer) return false;
+            this._fire(timer);
+            await flushPromises();
+            return true;
+        }
+
+        /** Moves the clock forward by `ms`, firing the timers that come due on the way. */
+        async tick(ms) {
+            const target = this._now + ms;
+            await flushPromises();
+            for (let timer = this._nextTimer(); timer && timer.at <= target; timer = this._nextTimer()) {
+                this._fire(timer);
+                await flushPromises();
+            }
+            this._now = target;
+        }
+
+        _nextTimer() {
+            let next = null;
+            this._timers.forEach(timer => {
+                if (!next || timer.at < next.at) next = timer;
+            });
+            return next;
+        }
+
+        _fire(timer) {
+            this._timers.delete(timer.id);
+            this._now = Math.max(this._now, timer.at);
+            timer.callback();
+        }
+    }
+
+    const SETTLED_STATUSES = [STATUS.COMPLETED, STATUS.ERROR, STATUS.ABORTED, STATUS.COMPENSATED, STATUS.COMPENSATION_FAILED];
+
+    /**
+     * An isolated FlowCraft instance on a FakeClock, with task mocks, helpers that drive flows until they pause or
+     * settle, and assertions on what ran. Flows, listeners, middleware and circuit breakers are not shared with the
+     * default FlowCraft instance or other harnesses.
+     */
+    class TestHarness {
+        /**
+         * @param {Object} [options={}] - Runner options (see FlowCraft.create()), plus:
+         * @param {FakeClock} [options.clock] - Defaults to a new FakeClock starting at 0.
+         * @param {number} [options.timeout=2000] - Real milliseconds runToPause()/runToCompletion() wait for tasks
+         *   that await something other than the fake clock (e.g. a real fetch).
+         * @param {number} [options.grace=100] - Real milliseconds a task call may stay busy without the flow making
+         *   progress before the fake clock moves on (firing e.g. the task's timeout).
+         */
+        constructor({ clock = new FakeClock(), timeout = 2000, grace = 100, ...runnerOptions } = {}) {
+            this.clock = clock;
+            this.flowCraft = createRunner({ ...runnerOptions, clock });
+            this.events = []; // Every lifecycle event of the harness's flows, in order
+            this._timeout = timeout;
+            this._grace = grace;
+            this._mocks = new Map(); // { 'flowName/taskId': mock }
+            this._busyCalls = new Set(); // Task calls in flight that were not cancelled
+            Object.values(EVENT).forEach(type => this.flowCraft.on(type, event => this.events.push(event)));
+            // Registered after the plugins: a mocked call doesn't reach middleware added later
+            this.flowCraft.use(async (invocation, next) => {
+                const mock = this._mocks.get(`${invocation.flowName}/${invocation.taskId}`);
+                const call = {};
+                const abortSignal = invocation.api.abortSignal;
+                const done = () => this._busyCalls.delete(call);
+                this._busyCalls.add(call);
+                if (abortSignal) abortSignal.addEventListener('abort', done, { once: true });
+                try {
+                    return await (mock ? mock._call(invocation) : next());
+                } finally {
+                    done();
+                    if (abortSignal) abortSignal.removeEventListener('abort', done);
+                }
+            });
+        }
+
+        /** Same as FlowCraft.define() on the harness's instance. */
+        define(...args) {
+            return this.flowCraft.define(...args);
+        }
+
+        /** Same as FlowCraft.run() on the harness's instance. */
+        run(...args) {
+            return this.flowCraft.run(...args);
+        }
+
+        /**
+         * Replaces a task (or parallel branch) of a defined flow with a stub, for every run of the flow until restored.
+         * For a forEach task the stub replaces the call for each item; the item is `api.item`.
+         * @param {string} flowName
+         * @param {string} taskId
+         * @param {Function|*} impl - Called like the task: (context, { signal, taskInfo, abortSignal, params }). Any other
+         *   value is returned as the task's result.
+         * @returns {Object} The mock: { calls, restore() }. Each call records { context (a shallow copy), taskInfo, params }.
+         */
+        mockTask(flowName, taskId, impl) {
+            const flow = this.flowCraft._flows[flowName];
+            if (!flow) {
+                throw new Error(`[FlowCraft] Cannot mock task '${taskId}': flow '${flowName}' is not defined.`);
+            }
+            const hasTask = tasks => tasks.some(task => (task.id === taskId && (task.func || task.itemTask)) || (task.parallel && hasTask(task.parallel)));
+            if (!hasTask(flow.tasks)) {
+                throw new Error(`[FlowCraft] Cannot mock task '${taskId}': flow '${flowName}' has no function task with this id.`);
+            }
+            const key = `${flowName}/${taskId}`;
+            const mock = {
+                calls: [],
+                restore: () => {
+                    if (this._mocks.get(key) === mock) this._mocks.delete(key);
+                },
+                _call: invocation => {
+                    mock.calls.push({ context: { ...invocation.context }, taskInfo: invocation.taskInfo, params: invocation.api.params });
+                    return typeof impl === 'function' ? impl(invocation.context, invocation.api) : impl;
+                }
+            };
+            this._mocks.set(key, mock);
+            return mock;
+        }
+
+        /**
+         * Runs a flow, advancing the fake clock as needed, until it pauses.
+         * @param {FlowInstance|string} instanceOrFlowName - A running instance, or the name of a flow to run.
+         * @param {Object} [initialContext={}] - With a flow name, the context to run it with.
+         * @returns {Promise<FlowInstance>} The paused instance. Rejects if the flow settles instead.
+         */
+        async runToPause(instanceOrFlowName, initialContext = {}) {
+            const instance = this._instance(instanceOrFlowName, initialContext);
+            const status = await this._drive(instance, 'runToPause');
+            if (status !== STATUS.PAUSED) {
+                throw new AssertionError(`[FlowCraft] runToPause(): flow '${instance.getState().flowName}' ended with status '${status}' without pausing.`, { actual: status, expected: STATUS.PAUSED });
+            }
+            return instance;
+        }
+
+        /**
+         * Runs (or resumes) a flow, advancing the fake clock as needed, until it settles.
+         * @param {FlowInstance|string} instanceOrFlowName - A running or paused instance, or the name of a flow to run.
+         *   A paused instance is resumed first.
+         * @param {Object} [initialContext={}] - With a flow name, the context to run it with.
+         * @returns {Promise<Object>} The final context. Rejects with the flow's FlowError if it fails, or if it pauses.
+         */
+        async runToCompletion(instanceOrFlowName, initialContext = {}) {
+            const instance = this._instance(instanceOrFlowName, initialContext);
+            if (instance.getState().status === STATUS.PAUSED) instance.resume();
+            const status = await this._drive(instance, 'runToCompletion');
+            if (status === STATUS.PAUSED) {
+                throw new AssertionError(`[FlowCraft] runToCompletion(): flow '${instance.getState().flowName}' paused (use runToPause() and resume it).`, { actual: status, expected: STATUS.COMPLETED });
+            }
+            return instance.result;
+        }
+
+        /** Ids of the tasks (and parallel branches) an instance started, one per attempt, in start order. forEach items are not listed. */
+        getTaskSequence(instance) {
+            return this._eventsOf(instance, EVENT.TASK_START)
+                .filter(event => event.itemIndex === undefined) // A forEach task is listed once, not per item
+                .map(event => event.taskId);
+        }
+
+        assertTaskSequence(instance, expected) {
+            const actual = this.getTaskSequence(instance);
+            if (!deepEqual(actual, expected)) {
+                throw new AssertionError(`[FlowCraft] Expected tasks [${expected.join(', ')}] to run, but [${actual.join(', ')}] ran.`, { actual, expected });
+            }
+        }
+
+        /** Asserts how often a task was retried, by its retry policy or an onError handler returning RETRY. */
+        assertRetries(instance, taskId, expected) {
+            const actual = this._eventsOf(instance, EVENT.RETRY).filter(event => event.taskId === taskId).length;
+            if (actual !== expected) {
+                throw new AssertionError(`[FlowCraft] Expected task '${taskId}' to be retried ${expected} time(s), but it was retried ${actual} time(s).`, { actual, expected });
+            }
+        }
+
+        /** Asserts that every key of `expected` has a structurally equal value in the instance's context; other keys are ignored. */
+        assertContext(instance, expected) {
+            const context = instance.getState().context;
+            const mismatched = Object.keys(expected).filter(key => !deepEqual(context[key], expected[key]));
+            if (mismatched.length > 0) {
+                const actual = {};
+                mismatched.forEach(key => { actual[key] = context[key]; });
+                throw new AssertionError(`[FlowCraft] Context mismatch for key(s): ${mismatched.join(', ')}.`, { actual, expected });
+            }
+        }
+
+        assertStatus(instance, expected) {
+            const actual = instance.getState().status;
+            if (actual !== expected) {
+                throw new AssertionError(`[FlowCraft] Expected flow '${instance.getState().flowName}' to be '${expected}', but it is '${actual}'.`, { actual, expected });
+            }
+        }
+
+        /** Waits up to the grace period in real time. Resolves false as soon as the flow makes progress. */
+        async _stayedIdle() {
+            const since = systemClock.now();
+            const eventCount = this.events.length;
+            const busyCount = this._busyCalls.size;
+            while (systemClock.now() - since < this._grace) {
+                await new Promise(resolve => systemClock.setTimeout(resolve, Math.min(10, this._grace)));
+                if (this.events.length !== eventCount || this._busyCalls.size !== busyCount) return false;
+            }
+            return true;
+        }
+
+        _instance(instanceOrFlowName, initialContext) {
+            return typeof instanceOrFlowName === 'string' ? this.run(instanceOrFlowName, initialContext) : instanceOrFlowName;
+        }
+
+        _eventsOf(instance, type) {
+            return this.events.filter(event => event.type === type && event.executionId === instance.executionId);
+        }
+
+        /**
+         * Fires fake timers until the instance pauses or settles. Returns its status.
+         * While a task call is busy (e.g. awaiting a real request) the clock only moves once the flow made no progress
+         * for the grace period, so the task's timeout or the flowTimeout doesn't fire early.
+         */
+        async _drive(instance, helper) {
+            instance.result.catch(() => {}); // Failures are reported by the helper's caller through instance.result
+            const deadline = systemClock.now() + this._timeout;
+            for (;;) {
+                await flushPromises();
+                const status = instance.getState().status;
+                if (status === STATUS.PAUSED || SETTLED_STATUSES.includes(status)) return status;
+                if (this._busyCalls.size > 0 && !(await this._stayedIdle())) continue;
+                if (await this.clock.next()) continue;
+                if (systemClock.now() > deadline) {
+                    throw new Error(`[FlowCraft] ${helper}(): flow '${instance.getState().flowName}' is still '${status}' after ${this._timeout}ms, waiting for something other than the fake clock.`);
+                }
             }
         }
     }
 
+    const testing = {
+        /** Creates an isolated FlowCraft instance on a fake clock. See TestHarness. */
+        createHarness: options => new TestHarness(options),
+        FakeClock,
+        AssertionError
+    };
+
     // --- Expose Library ---
-    const flowCraftInstance = new FlowCraft();
-    // Add constants to the instance for easier use
-    flowCraftInstance.STATUS = STATUS;
-    flowCraftInstance.LOG_LEVEL = LOG_LEVEL;
-    flowCraftInstance.SIGNAL_TYPE = SIGNAL_TYPE;
-    flowCraftInstance.ERROR_ACTION = ERROR_ACTION;
+
+    /** Adds the constants and classes of the public API to a FlowCraft instance. */
+    function exposeApi(flowCraft) {
+        flowCraft.STATUS = STATUS;
+        flowCraft.LOG_LEVEL = LOG_LEVEL;
+        flowCraft.SIGNAL_TYPE = SIGNAL_TYPE;
+        flowCraft.ERROR_ACTION = ERROR_ACTION;
+        flowCraft.PARALLEL_MODE = PARALLEL_MODE;
+        flowCraft.FAILURE_REASON = FAILURE_REASON;
+        flowCraft.EVENT = EVENT;
+        flowCraft.BACKOFF = BACKOFF;
+        flowCraft.CIRCUIT_STATE = CIRCUIT_STATE;
+        flowCraft.CONCURRENCY_STRATEGY = CONCURRENCY_STRATEGY;
+        flowCraft.TRACE_OUTCOME = TRACE_OUTCOME;
+        flowCraft.TRACE_FORMAT = TRACE_FORMAT;
+        flowCraft.TimeoutError = TimeoutError;
+        flowCraft.CircuitOpenError = CircuitOpenError;
+        flowCraft.FlowError = FlowError;
+        flowCraft.ConcurrencyLimitError = ConcurrencyLimitError;
+        flowCraft.DefinitionError = DefinitionError;
+        flowCraft.ContractError = ContractError;
+        // Storage adapters for snapshots
+        flowCraft.MemoryStorageAdapter = MemoryStorageAdapter;
+        flowCraft.LocalStorageAdapter = LocalStorageAdapter;
+        flowCraft.IndexedDBStorageAdapter = IndexedDBStorageAdapter;
+        // Test utilities: FlowCraft.testing.createHarness()
+        flowCraft.testing = testing;
+        return flowCraft;
+    }
+
+    /** Creates a FlowCraft runner with the public constants and classes, then installs its plugins. */
+    function createRunner(options = {}) {
+        const runner = exposeApi(new FlowCraft(options));
+        (options.plugins || []).forEach(plugin => plugin(runner));
+        return runner;
+    }
+
+    const flowCraftInstance = createRunner(); // The default runner
 
     if (typeof define === 'function' && define.amd) {
         define([], function () { return flowCraftInstance; }); // AMD
@@ -0,0 +1,41 @@
+/**
+ * FlowCraft.js as an ES module.
+ *
+ * import FlowCraft, { create, STATUS } from './flowcraft.mjs';
+ *
+ * Loads flowcraft.js next to this file: Node and bundlers get its CommonJS export, browsers its global.
+ */
+import * as umd from './flowcraft.js';
+
+const FlowCraft = umd.default || globalThis.FlowCraft;
+
+export default FlowCraft;
+
+/** Creates an independent runner, see FlowCraft.create(). */
+export const create = options => FlowCraft.create(options);
+
+export const {
+    version,
+    testing,
+    STATUS,
+    LOG_LEVEL,
+    SIGNAL_TYPE,
+    ERROR_ACTION,
+    PARALLEL_MODE,
+    FAILURE_REASON,
+    EVENT,
+    BACKOFF,
+    CIRCUIT_STATE,
+    CONCURRENCY_STRATEGY,
+    TRACE_OUTCOME,
+    TRACE_FORMAT,
+    TimeoutError,
+    CircuitOpenError,
+    FlowError,
+    ConcurrencyLimitError,
+    DefinitionError,
+    ContractError,
+    MemoryStorageAdapter,
+    LocalStorageAdapter,
+    IndexedDBStorageAdapter
+} = FlowCraft;
@@ -0,0 +1,38 @@
+/**
+ * Tests of the FlowCraft.testing harness. Run with: node test/testing.test.js
+ */
+const assert = require('assert');
+const FlowCraft = require('../flowcraft.js');
+
+const realSleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const tests = {
+    'a task awaiting real I/O is not cut short by its timeout': async () => {
+        const harness = FlowCraft.testing.createHarness({ logLevel: FlowCraft.LOG_LEVEL.NONE });
+        harness.define('io', [
+            { id: 'fetch', func: async context => { await realSleep(20); context.fetched = true; }, options: { timeout: 5000 } },
+            { id: 'hang', func: () => new Promise(() => {}), options: { timeout: 1000 }, onError: () => FlowCraft.ERROR_ACTION.SKIP }
+        ], { logLevel: FlowCraft.LOG_LEVEL.NONE, flowTimeout: 60000 });
+
+        const instance = harness.run('io');
+        await harness.runToCompletion(instance);
+
+        harness.assertContext(instance, { fetched: true });
+        harness.assertStatus(instance, FlowCraft.STATUS.COMPLETED);
+        assert.strictEqual(harness.clock.now(), 1000); // Only the hanging task's timeout fired
+    }
+};
+
+(async () => {
+    let failed = 0;
+    for (const [name, test] of Object.entries(tests)) {
+        try {
+            await test();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`not ok - ${name}\n`, error);
+        }
+    }
+    process.exitCode = failed > 0 ? 1 : 0;
+})();